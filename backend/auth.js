@@ -0,0 +1,102 @@
+// backend/auth.js - who is on the other end of a signaling socket, checked once on the HTTP upgrade
+//
+// Configuration (env):
+//   AUTH_JWT_SECRET    shared secret for HS256/HS384/HS512 JWTs; when set, every socket needs a valid token
+//   AUTH_JWT_ISSUER    required `iss` claim (optional)
+//   AUTH_JWT_AUDIENCE  required `aud` claim (optional)
+//   AUTH_VERIFIER      path of a module exporting `async (token, req) => identity` instead of the JWT check;
+//                      it returns { id, name? } or throws (set `code` on the error to pick the close reason)
+// With neither set, sockets are anonymous (the default for a local setup).
+//
+// Browsers can't set headers on a WebSocket, so the token comes as `?token=` on the socket url;
+// other clients may send `Authorization: Bearer <token>` instead.
+
+const crypto = require('crypto');
+const path = require('path');
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const CLOCK_TOLERANCE_SEC = 30;
+
+// A refused socket is still upgraded and then closed with one of these, because a browser only sees
+// close codes (an HTTP 401 on the upgrade looks like any other network failure). reason = the key.
+const AUTH_CLOSE_CODES = { AUTH_REQUIRED: 4001, AUTH_INVALID: 4003, AUTH_EXPIRED: 4004 };
+
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+function loadConfig(env = process.env) {
+  return {
+    jwtSecret: env.AUTH_JWT_SECRET || null,
+    issuer: env.AUTH_JWT_ISSUER || null,
+    audience: env.AUTH_JWT_AUDIENCE || null,
+    verifierModule: env.AUTH_VERIFIER || null
+  };
+}
+
+function decodeSegment(segment) {
+  try { return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8')); }
+  catch (e) { throw authError('AUTH_INVALID', 'malformed token'); }
+}
+
+function verifyJwt(token, { jwtSecret, issuer, audience }) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw authError('AUTH_INVALID', 'malformed token');
+  const [headerPart, payloadPart, signaturePart] = parts;
+  const header = decodeSegment(headerPart);
+  const payload = decodeSegment(payloadPart);
+
+  const algorithm = HMAC_ALGORITHMS[header.alg];
+  if (!algorithm) throw authError('AUTH_INVALID', `unsupported algorithm ${header.alg}`);
+  const expected = crypto.createHmac(algorithm, jwtSecret).update(`${headerPart}.${payloadPart}`).digest();
+  const signature = Buffer.from(signaturePart, 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw authError('AUTH_INVALID', 'bad signature');
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_TOLERANCE_SEC) throw authError('AUTH_EXPIRED', 'token expired');
+  if (typeof payload.nbf === 'number' && now + CLOCK_TOLERANCE_SEC < payload.nbf) throw authError('AUTH_INVALID', 'token not valid yet');
+  if (issuer && payload.iss !== issuer) throw authError('AUTH_INVALID', 'wrong issuer');
+  if (audience && !(Array.isArray(payload.aud) ? payload.aud.includes(audience) : payload.aud === audience)) {
+    throw authError('AUTH_INVALID', 'wrong audience');
+  }
+  if (payload.sub == null || payload.sub === '') throw authError('AUTH_INVALID', 'token has no subject');
+  return { id: String(payload.sub), name: typeof payload.name === 'string' ? payload.name : null };
+}
+
+function tokenFrom(req) {
+  const [scheme, bearer] = String(req.headers.authorization || '').split(' ');
+  if (scheme === 'Bearer' && bearer) return bearer;
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+// authenticate(req) resolves to the caller's identity { id, name }, or null when auth is off;
+// it rejects with an error whose `code` is a key of AUTH_CLOSE_CODES
+function createAuth(config = loadConfig()) {
+  let verify = null;
+  if (config.verifierModule) {
+    verify = require(path.resolve(config.verifierModule));
+    if (typeof verify !== 'function') throw new Error(`AUTH_VERIFIER ${config.verifierModule} does not export a function`);
+  } else if (config.jwtSecret) {
+    verify = async (token) => verifyJwt(token, config);
+  }
+
+  return {
+    enabled: !!verify,
+    describe: () => (config.verifierModule ? `verifier ${config.verifierModule}` : config.jwtSecret ? 'JWT' : 'off'),
+    async authenticate(req) {
+      if (!verify) return null;
+      const token = tokenFrom(req);
+      if (!token) throw authError('AUTH_REQUIRED', 'no token');
+      let identity;
+      try {
+        identity = await verify(token, req);
+      } catch (e) {
+        throw authError(AUTH_CLOSE_CODES[e.code] ? e.code : 'AUTH_INVALID', e.message);
+      }
+      if (!identity || identity.id == null) throw authError('AUTH_INVALID', 'verifier returned no identity');
+      return { id: String(identity.id), name: typeof identity.name === 'string' ? identity.name : null };
+    }
+  };
+}
+
+module.exports = { createAuth, loadConfig, verifyJwt, AUTH_CLOSE_CODES };
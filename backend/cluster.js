@@ -0,0 +1,272 @@
+// backend/cluster.js - room state and presence shared by every signaling node, and messages between nodes
+//
+// Configuration (env):
+//   REDIS_URL  e.g. redis://localhost:6379 - rooms and presence live in Redis and nodes talk over its
+//              pub/sub, so several server processes can sit behind one load balancer. Without it
+//              everything stays in this process (a single node).
+//   NODE_ID    this node's name in the cluster (default: random)
+//   ROOMS_FILE where a single node keeps its stored rooms (see roomStore.js); unused with REDIS_URL
+//
+// Both adapters have the same async interface:
+//   getRoom(room) / updateRoom(room, fn)  room state { members: [clientId], meta } as plain JSON;
+//                                         fn(current | null) returns the next state (null deletes the
+//                                         room) and runs under a per-room lock, so read-check-write is atomic
+//   listRooms()                           Map room -> state of every room (admin, metrics)
+//   roomCount() / participantCount()      totals across the cluster (capacity limits)
+//   getClient(id) / getClients(ids) / setClient(id, record) / removeClient(id)
+//                                         presence: which node holds a client, plus its name and media
+//   getStoredRoom(id) / putStoredRoom(record) / removeStoredRoom(id)
+//                                         rooms created ahead of time (scheduled meetings) as plain JSON;
+//                                         removeStoredRoom resolves to whether there was one
+//   publish(nodeId, envelope) / onMessage(handler)
+//                                         deliver an envelope to the handler of one node
+//   onDeadClients(handler)                handler(room, clientIds): members or lobby guests of a room whose
+//                                         node stopped without cleaning up after them (crashed, cut off), for
+//                                         a live node to remove
+//   close()
+//
+// With Redis every node refreshes a heartbeat key and the presence of its own clients every HEARTBEAT_MS;
+// both expire after NODE_TTL_MS without one, and each node regularly looks for room members whose presence
+// or node is gone.
+
+const crypto = require('crypto');
+const { createRoomStore, loadConfig: loadRoomStoreConfig } = require('./roomStore');
+const log = require('./logger').logger.child({ module: 'cluster' });
+
+const KEY_PREFIX = 'veo-chat';
+const LOCK_TTL_MS = 5000; // a node that dies holding a lock only blocks its room this long
+const LOCK_RETRY_MS = 20;
+const LOCK_ATTEMPTS = 250;
+const HEARTBEAT_MS = 5000;
+const MISSED_HEARTBEATS = 3; // a node is dead once its key expires: NODE_TTL_MS = 3 heartbeats
+
+const clone = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function loadConfig(env = process.env) {
+  return {
+    redisUrl: env.REDIS_URL || null,
+    nodeId: env.NODE_ID || crypto.randomBytes(4).toString('hex'),
+    rooms: loadRoomStoreConfig(env)
+  };
+}
+
+// Serializes fn per key within this process
+function withLock(locks, key, fn) {
+  const run = (locks.get(key) || Promise.resolve()).then(() => fn());
+  const tail = run.catch(() => { /* the caller sees the error; the next holder still runs */ });
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+/* ========== In-process adapter ========== */
+
+// What the nodes of an in-process cluster share. One hub per process is the normal single-node
+// setup; handing the same hub to several nodes runs a whole cluster in one process (tests).
+// roomStore keeps the stored rooms: by default in memory only, ROOMS_FILE for a real single node.
+function createMemoryHub({ roomStore = createRoomStore({ config: { file: null } }) } = {}) {
+  return { rooms: new Map(), clients: new Map(), locks: new Map(), nodes: new Map(), storedRooms: roomStore };
+}
+
+// Values are copied in and out, as they would be through Redis, so no caller can depend on
+// sharing an object with another node.
+function createMemoryCluster({ nodeId = loadConfig().nodeId, hub = createMemoryHub() } = {}) {
+  return {
+    nodeId,
+    getRoom: async (room) => clone(hub.rooms.get(room)),
+    updateRoom: (room, fn) => withLock(hub.locks, room, async () => {
+      const next = await fn(clone(hub.rooms.get(room)));
+      if (next) hub.rooms.set(room, clone(next)); else hub.rooms.delete(room);
+      return clone(next);
+    }),
+    listRooms: async () => new Map(Array.from(hub.rooms, ([room, state]) => [room, clone(state)])),
+    roomCount: async () => hub.rooms.size,
+    participantCount: async () => {
+      let total = 0;
+      for (const state of hub.rooms.values()) total += state.members.length;
+      return total;
+    },
+    getClient: async (id) => clone(hub.clients.get(id)),
+    getClients: async (ids) => new Map(ids.map(id => [id, clone(hub.clients.get(id))])),
+    setClient: async (id, record) => { hub.clients.set(id, clone(record)); },
+    removeClient: async (id) => { hub.clients.delete(id); },
+    getStoredRoom: async (id) => clone(hub.storedRooms.get(id)),
+    putStoredRoom: async (record) => clone(hub.storedRooms.put(clone(record))),
+    removeStoredRoom: async (id) => hub.storedRooms.remove(id),
+    publish: async (targetNode, envelope) => {
+      const handler = hub.nodes.get(targetNode);
+      if (!handler) return;
+      const copy = clone(envelope);
+      // asynchronous like a real backplane: never re-enter the sender
+      setImmediate(() => handler(copy));
+    },
+    onMessage: (handler) => { hub.nodes.set(nodeId, handler); },
+    // the nodes of a hub share one process: none of them can die without the others
+    onDeadClients: () => {},
+    close: async () => { hub.nodes.delete(nodeId); }
+  };
+}
+
+/* ========== Redis adapter ========== */
+
+// compare-and-delete: only the holder may release a lock
+const UNLOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+// heartbeatMs: how often this node proves it is alive (tests shorten it)
+function createRedisCluster({ url, nodeId = loadConfig().nodeId, Redis = require('ioredis'), heartbeatMs = HEARTBEAT_MS }) {
+  const redis = new Redis(url);
+  const subscriber = new Redis(url); // a subscribed connection can't run other commands
+  const key = (...parts) => [KEY_PREFIX, ...parts].join(':');
+  const sizesKey = key('room-sizes'); // room -> member count, for the capacity totals
+  const storedRoomsKey = key('stored-rooms'); // room id -> stored room
+  const parse = (raw) => (raw ? JSON.parse(raw) : null);
+  const nodeTtlMs = heartbeatMs * MISSED_HEARTBEATS;
+  const ownClients = new Set(); // presence keys this node keeps alive
+  let handler = null;
+  let deadClientsHandler = null;
+
+  redis.on('error', (e) => log.error('redis error', { err: e.message }));
+  subscriber.on('error', (e) => log.error('redis subscriber error', { err: e.message }));
+  subscriber.subscribe(key('node', nodeId)).catch((e) => log.error('redis subscribe failed', { err: e.message }));
+  subscriber.on('message', (channel, raw) => {
+    if (!handler) return;
+    try { handler(JSON.parse(raw)); } catch (e) { log.error('bad cluster message', { err: e.message }); }
+  });
+
+  async function lock(room) {
+    const lockKey = key('lock', room);
+    const token = crypto.randomBytes(8).toString('hex');
+    for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt++) {
+      if (await redis.set(lockKey, token, 'PX', LOCK_TTL_MS, 'NX')) {
+        return () => redis.eval(UNLOCK_SCRIPT, 1, lockKey, token);
+      }
+      await sleep(LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS);
+    }
+    throw new Error(`Timed out waiting for the lock on room ${room}`);
+  }
+
+  // the in-process lock keeps this node's own callers from spinning on the Redis one
+  const localLocks = new Map();
+
+  async function getRoom(room) {
+    return parse(await redis.get(key('room', room)));
+  }
+
+  function updateRoom(room, fn) {
+    return withLock(localLocks, room, async () => {
+      const unlock = await lock(room);
+      try {
+        const next = await fn(parse(await redis.get(key('room', room))));
+        if (next) {
+          await redis.multi().set(key('room', room), JSON.stringify(next)).hset(sizesKey, room, next.members.length).exec();
+        } else {
+          await redis.multi().del(key('room', room)).hdel(sizesKey, room).exec();
+        }
+        return next;
+      } finally {
+        await unlock();
+      }
+    });
+  }
+
+  async function listRooms() {
+    const rooms = await redis.hkeys(sizesKey);
+    if (!rooms.length) return new Map();
+    const values = await redis.mget(rooms.map(room => key('room', room)));
+    // a room deleted between the two reads is skipped
+    return new Map(rooms.map((room, i) => [room, parse(values[i])]).filter(([, state]) => state));
+  }
+
+  async function getClients(ids) {
+    if (!ids.length) return new Map();
+    const values = await redis.mget(ids.map(id => key('client', id)));
+    return new Map(ids.map((id, i) => [id, parse(values[i])]));
+  }
+
+  // this node is alive, and so is the presence of everyone connected to it
+  function heartbeat() {
+    const batch = redis.multi().set(key('alive', nodeId), Date.now(), 'PX', nodeTtlMs);
+    ownClients.forEach(id => batch.pexpire(key('client', id), nodeTtlMs));
+    return batch.exec();
+  }
+
+  // members and guests whose presence expired, or whose node did, are reported room by room
+  async function sweepDeadClients() {
+    if (!deadClientsHandler) return;
+    const rooms = await listRooms();
+    const ids = Array.from(new Set(Array.from(rooms.values()).flatMap(state => [...state.members, ...state.meta.waiting])));
+    if (!ids.length) return;
+    const presence = await getClients(ids);
+    const nodes = Array.from(new Set(Array.from(presence.values()).filter(Boolean).map(record => record.node)));
+    const alive = nodes.length ? await redis.mget(nodes.map(node => key('alive', node))) : [];
+    const liveNodes = new Set(nodes.filter((node, i) => alive[i]));
+    const isDead = (id) => !presence.get(id) || !liveNodes.has(presence.get(id).node);
+    for (const [room, state] of rooms) {
+      const dead = [...state.members, ...state.meta.waiting].filter(isDead);
+      if (dead.length) await deadClientsHandler(room, dead);
+    }
+  }
+
+  // one run at a time: a slow Redis must not pile them up
+  const repeat = (fn, ms, what) => {
+    let running = false;
+    const run = () => {
+      if (running) return;
+      running = true;
+      fn().catch((e) => log.error(`${what} failed`, { err: e.message })).finally(() => { running = false; });
+    };
+    run();
+    const timer = setInterval(run, ms);
+    timer.unref();
+    return timer;
+  };
+  const heartbeatTimer = repeat(heartbeat, heartbeatMs, 'heartbeat');
+  const sweepTimer = repeat(sweepDeadClients, nodeTtlMs, 'dead client sweep');
+
+  return {
+    nodeId,
+    getRoom,
+    updateRoom,
+    listRooms,
+    roomCount: () => redis.hlen(sizesKey),
+    participantCount: async () => (await redis.hvals(sizesKey)).reduce((sum, n) => sum + Number(n), 0),
+    getClient: async (id) => parse(await redis.get(key('client', id))),
+    getClients,
+    setClient: async (id, record) => {
+      if (record.node === nodeId) ownClients.add(id); else ownClients.delete(id);
+      await redis.set(key('client', id), JSON.stringify(record), 'PX', nodeTtlMs);
+    },
+    removeClient: async (id) => {
+      ownClients.delete(id);
+      await redis.del(key('client', id));
+    },
+    getStoredRoom: async (id) => parse(await redis.hget(storedRoomsKey, id)),
+    putStoredRoom: async (record) => {
+      await redis.hset(storedRoomsKey, record.id, JSON.stringify(record));
+      return clone(record);
+    },
+    removeStoredRoom: async (id) => (await redis.hdel(storedRoomsKey, id)) > 0,
+    publish: async (targetNode, envelope) => { await redis.publish(key('node', targetNode), JSON.stringify(envelope)); },
+    onMessage: (fn) => { handler = fn; },
+    onDeadClients: (fn) => { deadClientsHandler = fn; },
+    close: async () => {
+      handler = null;
+      deadClientsHandler = null;
+      clearInterval(heartbeatTimer);
+      clearInterval(sweepTimer);
+      await redis.del(key('alive', nodeId));
+      await Promise.all([redis.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+function createCluster(config = loadConfig()) {
+  if (config.redisUrl) {
+    log.info('cluster using redis', { nodeId: config.nodeId, redisUrl: config.redisUrl.replace(/\/\/[^@]*@/, '//***@') });
+    return createRedisCluster({ url: config.redisUrl, nodeId: config.nodeId });
+  }
+  return createMemoryCluster({ nodeId: config.nodeId, hub: createMemoryHub({ roomStore: createRoomStore({ config: config.rooms }) }) });
+}
+
+module.exports = { createCluster, createMemoryCluster, createMemoryHub, createRedisCluster, loadConfig };
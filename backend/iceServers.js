@@ -0,0 +1,69 @@
+// backend/iceServers.js - STUN/TURN list served to clients via /ice-servers
+//
+// Configuration (env, or a JSON file named by ICE_CONFIG_FILE with the same keys in camelCase):
+//   STUN_URLS    comma-separated stun: urls (default: Google public STUN; set to '' for none, e.g. offline LAN)
+//   TURN_URLS    comma-separated turn:/turns: urls
+//   TURN_SECRET  coturn `static-auth-secret`; enables short-lived REST API credentials
+//   TURN_USERNAME / TURN_CREDENTIAL  static credentials, used when no TURN_SECRET is set
+//   TURN_TTL     credential lifetime in seconds (default 86400)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const log = require('./logger').logger.child({ module: 'ice' });
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+  'stun:stun2.l.google.com:19302'
+];
+
+function splitUrls(value) {
+  if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function loadConfig(env = process.env) {
+  let file = {};
+  if (env.ICE_CONFIG_FILE) {
+    try { file = JSON.parse(fs.readFileSync(env.ICE_CONFIG_FILE, 'utf8')); }
+    catch (e) { log.error('could not read ICE_CONFIG_FILE', { file: env.ICE_CONFIG_FILE, err: e.message }); }
+  }
+  const pick = (envKey, fileKey) => (env[envKey] !== undefined ? env[envKey] : file[fileKey]);
+
+  const stun = pick('STUN_URLS', 'stunUrls');
+  const ttl = parseInt(pick('TURN_TTL', 'turnTtl'), 10);
+  return {
+    stunUrls: stun === undefined ? DEFAULT_STUN_URLS : splitUrls(stun),
+    turnUrls: splitUrls(pick('TURN_URLS', 'turnUrls')),
+    turnSecret: pick('TURN_SECRET', 'turnSecret') || null,
+    turnUsername: pick('TURN_USERNAME', 'turnUsername') || null,
+    turnCredential: pick('TURN_CREDENTIAL', 'turnCredential') || null,
+    ttl: Number.isFinite(ttl) && ttl > 0 ? ttl : 86400
+  };
+}
+
+// coturn REST API: username is "<expiry unix ts>:<user>", password is base64(HMAC-SHA1(secret, username))
+function createTurnCredentials(secret, user, ttl, now = Date.now()) {
+  const expiry = Math.floor(now / 1000) + ttl;
+  const username = `${expiry}:${user || 'anonymous'}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential };
+}
+
+function getIceServers(user, config = loadConfig()) {
+  const iceServers = [];
+  if (config.stunUrls.length) iceServers.push({ urls: config.stunUrls });
+
+  if (config.turnUrls.length) {
+    if (config.turnSecret) {
+      iceServers.push({ urls: config.turnUrls, ...createTurnCredentials(config.turnSecret, user, config.ttl) });
+    } else if (config.turnUsername && config.turnCredential) {
+      iceServers.push({ urls: config.turnUrls, username: config.turnUsername, credential: config.turnCredential });
+    } else {
+      log.warn('TURN_URLS set without TURN_SECRET or TURN_USERNAME/TURN_CREDENTIAL -> skipping TURN');
+    }
+  }
+  return { iceServers, ttl: config.ttl };
+}
+
+module.exports = { loadConfig, createTurnCredentials, getIceServers };
@@ -0,0 +1,64 @@
+// backend/logger.js - leveled, structured logs: one JSON object per line
+//
+// Configuration (env):
+//   LOG_LEVEL   debug | info | warn | error (default info)
+//   LOG_FORMAT  json (default) | pretty - one readable line per entry, for a terminal during development
+//
+// log.info('joined room', { room, size }) writes { time, level, msg, ...context, ...fields }. child(context)
+// returns a logger that adds context (clientId, room, trace, ...) to everything it writes. An Error in the
+// fields is written as { message, code, stack }.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function loadConfig(env = process.env) {
+  const level = String(env.LOG_LEVEL || 'info').toLowerCase();
+  return {
+    level: LEVELS[level] ? level : 'info',
+    format: env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json'
+  };
+}
+
+function serialize(value) {
+  if (value instanceof Error) return { message: value.message, code: value.code, stack: value.stack };
+  return value;
+}
+
+function createLogger({ config = loadConfig(), context = {}, write = null } = {}) {
+  const threshold = LEVELS[config.level];
+  const out = write || ((level, line) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+  function format(entry) {
+    if (config.format === 'json') return JSON.stringify(entry, (key, value) => serialize(value));
+    const { time, level, msg, ...fields } = entry;
+    const extra = Object.entries(fields).map(([key, value]) => {
+      const shown = serialize(value);
+      return `${key}=${typeof shown === 'string' ? shown : JSON.stringify(shown)}`;
+    });
+    return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...extra].join(' ');
+  }
+
+  function log(level, msg, fields) {
+    if (LEVELS[level] < threshold) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...context, ...fields };
+    try {
+      out(level, format(entry));
+    } catch (e) {
+      // unserializable fields must not take the server down
+      out(level, JSON.stringify({ time: entry.time, level, msg, logError: e.message }));
+    }
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: (extra) => createLogger({ config, context: { ...context, ...extra }, write: out }),
+    isLevelEnabled: (level) => LEVELS[level] >= threshold
+  };
+}
+
+// the process-wide logger; modules take a child of it
+const logger = createLogger();
+
+module.exports = { createLogger, loadConfig, logger };
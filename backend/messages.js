@@ -0,0 +1,190 @@
+// backend/messages.js - what clients may send: the signaling protocol, checked before anything is handled
+//
+// A frame is a JSON object { type, v?, ...fields }. `v` is the protocol version the client speaks
+// (PROTOCOL_VERSION when left out). Each type lists its fields; anything else - including a client's own
+// `from` - is dropped, so relayed messages only carry what the protocol defines.
+//
+// Configuration (env):
+//   RATE_LIMIT_BURST    messages a connection may send at once (default 200)
+//   RATE_LIMIT_PER_SEC  sustained messages per second per connection (default 50)
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_SDP_BYTES = 32 * 1024;    // simulcast offers with every codec stay well under this
+const MAX_CANDIDATE_BYTES = 1024;
+const MAX_CHAT_BYTES = 8 * 1024;
+
+/* ========== Field validators ========== */
+
+// a validator returns the accepted value or throws; the message is completed with the field's path
+const invalid = (reason) => Object.assign(new Error(reason), { path: [] });
+
+const string = (maxBytes) => (value) => {
+  if (typeof value !== 'string') throw invalid('must be a string');
+  if (Buffer.byteLength(value) > maxBytes) throw invalid(`must be at most ${maxBytes} bytes`);
+  return value;
+};
+
+const integer = (min, max) => (value) => {
+  if (!Number.isInteger(value) || value < min || value > max) throw invalid(`must be an integer from ${min} to ${max}`);
+  return value;
+};
+
+const boolean = (value) => {
+  if (typeof value !== 'boolean') throw invalid('must be true or false');
+  return value;
+};
+
+const oneOf = (...options) => (value) => {
+  if (!options.includes(value)) throw invalid(`must be one of ${options.join(', ')}`);
+  return value;
+};
+
+const nullable = (validate) => (value) => (value === null ? null : validate(value));
+
+const optional = (validate) => Object.assign((value) => validate(value), { optional: true });
+
+const object = (shape) => (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw invalid('must be an object');
+  const accepted = {};
+  for (const [key, validate] of Object.entries(shape)) {
+    if (value[key] === undefined) {
+      if (!validate.optional) throw Object.assign(invalid('is required'), { path: [key] });
+      continue;
+    }
+    try {
+      accepted[key] = validate(value[key]);
+    } catch (e) {
+      e.path.unshift(key);
+      throw e;
+    }
+  }
+  return accepted;
+};
+
+/* ========== Message types ========== */
+
+const clientId = string(32);
+const roomId = string(64); // the join itself checks the room id format (INVALID_ROOM)
+const description = object({ type: oneOf('offer', 'answer'), sdp: string(MAX_SDP_BYTES) });
+const candidate = nullable(object({
+  candidate: string(MAX_CANDIDATE_BYTES),
+  sdpMid: optional(nullable(string(64))),
+  sdpMLineIndex: optional(nullable(integer(0, 255))),
+  usernameFragment: optional(nullable(string(256)))
+}));
+// a client-chosen id tying its log lines to the server's for one join or negotiation
+const trace = optional(string(64));
+const media = { audio: optional(boolean), video: optional(boolean), screen: optional(boolean) };
+
+// offer/answer/ice-candidate/chat are relayed to `target`; `room` is accepted for older clients but the
+// sender's own room is what counts
+const SCHEMAS = {
+  heartbeat: {},
+  resume: { clientId, resumeToken: string(128) },
+  'join-room': {
+    room: roomId,
+    trace,
+    name: optional(nullable(string(200))),
+    password: optional(nullable(string(256))),
+    lobby: optional(boolean),
+    mode: optional(oneOf('mesh', 'sfu')),
+    media: optional(object(media))
+  },
+  'leave-room': { room: optional(nullable(roomId)) },
+  admit: { room: optional(nullable(roomId)), peerId: clientId },
+  deny: { room: optional(nullable(roomId)), peerId: clientId },
+  kick: { room: optional(nullable(roomId)), peerId: clientId },
+  'lock-room': { room: optional(nullable(roomId)), locked: optional(boolean) },
+  'request-mute': { room: optional(nullable(roomId)), peerId: optional(nullable(clientId)) },
+  offer: { room: optional(nullable(roomId)), target: clientId, sdp: description, trace },
+  answer: { room: optional(nullable(roomId)), target: clientId, sdp: description, trace },
+  'ice-candidate': { room: optional(nullable(roomId)), target: clientId, candidate },
+  chat: {
+    room: optional(nullable(roomId)),
+    target: clientId,
+    message: object({ id: string(100), text: string(MAX_CHAT_BYTES), ts: optional(integer(0, Number.MAX_SAFE_INTEGER)) })
+  },
+  'media-state': media,
+  recording: { active: boolean },
+  'sfu-answer': { sdp: description },
+  'sfu-candidate': { candidate },
+  'sfu-layer': { layer: string(8) }
+};
+
+// Parses and checks one frame. Returns { message } (only the fields its type defines) or
+// { error: { code, message, request? } } with code INVALID_MESSAGE, MESSAGE_TOO_LARGE,
+// UNSUPPORTED_VERSION or UNKNOWN_TYPE.
+function parseMessage(raw) {
+  if (raw.length > MAX_MESSAGE_BYTES) return { error: { code: 'MESSAGE_TOO_LARGE', message: `messages are limited to ${MAX_MESSAGE_BYTES} bytes` } };
+  let msg;
+  try { msg = JSON.parse(raw); } catch (e) { return { error: { code: 'INVALID_MESSAGE', message: 'not valid JSON' } }; }
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg) || typeof msg.type !== 'string') {
+    return { error: { code: 'INVALID_MESSAGE', message: 'expected an object with a type' } };
+  }
+  const request = msg.type.slice(0, 32);
+  const version = msg.v === undefined ? PROTOCOL_VERSION : msg.v;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return { error: { code: 'UNSUPPORTED_VERSION', message: `protocol version ${version} is not supported (server speaks ${SUPPORTED_VERSIONS.join(', ')})`, request } };
+  }
+  const shape = Object.prototype.hasOwnProperty.call(SCHEMAS, msg.type) ? SCHEMAS[msg.type] : null;
+  if (!shape) return { error: { code: 'UNKNOWN_TYPE', message: `unknown message type ${request}`, request } };
+  try {
+    return { message: { type: msg.type, ...object(shape)(msg) } };
+  } catch (e) {
+    return { error: { code: 'INVALID_MESSAGE', message: `${e.path.join('.')} ${e.message}`.trim(), request } };
+  }
+}
+
+/* ========== Rate limiting ========== */
+
+// join-room and resume check passwords and tokens: far fewer of those than of anything else
+const JOIN_TYPES = new Set(['join-room', 'resume']);
+const JOIN_BURST = 5;
+const JOIN_PER_SEC = 0.5;
+
+function loadConfig(env = process.env) {
+  const positive = (value, fallback) => { const n = Number(value); return Number.isFinite(n) && n > 0 ? n : fallback; };
+  return { burst: positive(env.RATE_LIMIT_BURST, 200), perSec: positive(env.RATE_LIMIT_PER_SEC, 50) };
+}
+
+function createTokenBucket(capacity, perSec) {
+  let tokens = capacity;
+  let last = Date.now();
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * perSec);
+    last = now;
+  };
+  return {
+    take() {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    retryAfterMs: () => Math.ceil(((1 - tokens) / perSec) * 1000)
+  };
+}
+
+// One per connection. check(type) returns { retryAfterMs: 0 } when the message may go ahead, otherwise how
+// long until it could, with `notify` set on the first refusal of a burst so a flooding client gets one
+// error, not one per frame.
+function createRateLimiter(config = loadConfig()) {
+  const messages = createTokenBucket(config.burst, config.perSec);
+  const joins = createTokenBucket(JOIN_BURST, JOIN_PER_SEC);
+  let limited = false;
+  return {
+    check(type) {
+      const allowed = messages.take();
+      if (allowed && (!JOIN_TYPES.has(type) || joins.take())) { limited = false; return { retryAfterMs: 0 }; }
+      const notify = !limited;
+      limited = true;
+      return { retryAfterMs: (allowed ? joins : messages).retryAfterMs(), notify };
+    }
+  };
+}
+
+module.exports = { parseMessage, createRateLimiter, createTokenBucket, loadConfig, PROTOCOL_VERSION, MAX_MESSAGE_BYTES };
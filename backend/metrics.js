@@ -0,0 +1,70 @@
+// backend/metrics.js - the few numbers the server keeps, rendered in the Prometheus text format (0.0.4)
+//
+// Counters are kept as they happen; gauges are measured when /metrics is scraped.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = []; // { name, help, type, collect: async () => [line] }
+
+  // inc({ type: 'offer' }) - one series per distinct label set
+  function counter(name, help) {
+    const series = new Map(); // formatted labels -> value
+    metrics.push({
+      name, help, type: 'counter',
+      collect: async () => Array.from(series, ([labels, value]) => `${name}${labels} ${value}`)
+    });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = formatLabels(labels);
+        series.set(key, (series.get(key) || 0) + by);
+      }
+    };
+  }
+
+  // measure() returns the current value
+  function gauge(name, help, measure) {
+    metrics.push({ name, help, type: 'gauge', collect: async () => [`${name} ${await measure()}`] });
+  }
+
+  // measure() returns every value right now (e.g. the size of each room); one gauge series per range between
+  // consecutive bounds counts the values in it: bounds [1, 2, 4] -> label "1", "2", "3-4" and "5+". Not a
+  // histogram: these counts go down as well as up, which Prometheus histograms must never do.
+  function rangeGauge(name, help, label, bounds, measure) {
+    const ranges = bounds.map((upper, i) => {
+      const lower = i === 0 ? upper : bounds[i - 1] + 1;
+      return { lower, upper, name: lower === upper ? String(upper) : `${lower}-${upper}` };
+    });
+    ranges.push({ lower: bounds[bounds.length - 1] + 1, upper: Infinity, name: `${bounds[bounds.length - 1] + 1}+` });
+    metrics.push({
+      name, help, type: 'gauge',
+      collect: async () => {
+        const values = await measure();
+        return ranges.map(range => {
+          const count = values.filter(v => v >= range.lower && v <= range.upper).length;
+          return `${name}${formatLabels({ [label]: range.name })} ${count}`;
+        });
+      }
+    });
+  }
+
+  async function render() {
+    const blocks = await Promise.all(metrics.map(async ({ name, help, type, collect }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...(await collect())
+    ].join('\n')));
+    return `${blocks.join('\n')}\n`;
+  }
+
+  return { counter, gauge, rangeGauge, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { createRegistry };
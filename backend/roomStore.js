@@ -0,0 +1,59 @@
+// backend/roomStore.js - rooms created ahead of time (scheduled meetings), kept in a JSON file
+//
+// Configuration (env):
+//   ROOMS_FILE  path of the JSON file (default: data/rooms.json next to this file)
+//
+// This is where a single node's cluster (cluster.js, no REDIS_URL) keeps them; with Redis they live there
+// instead, so every node reads the same records. A store created with file: null keeps them in memory only.
+//
+// Records are plain JSON and small, so the whole file is rewritten on every change; a write goes to a
+// temp file first and is renamed over the old one, so a crash never leaves half a file behind.
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger').logger.child({ module: 'rooms' });
+
+function loadConfig(env = process.env) {
+  return { file: env.ROOMS_FILE || path.join(__dirname, 'data', 'rooms.json') };
+}
+
+function createRoomStore({ config = loadConfig() } = {}) {
+  const rooms = new Map(); // roomId -> record
+
+  function load() {
+    if (!config.file) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(config.file, 'utf8'));
+      for (const record of saved.rooms || []) rooms.set(record.id, record);
+      log.info('loaded stored rooms', { count: rooms.size, file: config.file });
+    } catch (e) {
+      if (e.code !== 'ENOENT') log.error('could not read ROOMS_FILE', { file: config.file, err: e.message });
+    }
+  }
+
+  function save() {
+    if (!config.file) return;
+    const tmp = `${config.file}.tmp`;
+    fs.mkdirSync(path.dirname(config.file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ rooms: Array.from(rooms.values()) }, null, 2));
+    fs.renameSync(tmp, config.file);
+  }
+
+  load();
+
+  return {
+    get: (id) => rooms.get(id) || null,
+    put(record) {
+      rooms.set(record.id, record);
+      save();
+      return record;
+    },
+    remove(id) {
+      if (!rooms.delete(id)) return false;
+      save();
+      return true;
+    }
+  };
+}
+
+module.exports = { createRoomStore, loadConfig };
@@ -1,201 +1,1266 @@
 // backend/server.js - Defensive id-based room server
+//
+// `node server.js` listens on PORT (default 8888). Elsewhere (tests, embedding) createSignalingServer()
+// builds a node without listening; see its comment below.
 
 const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const WebSocket = require('ws');
+const { loadConfig: loadIceConfig, getIceServers } = require('./iceServers');
+const { createSfu, loadConfig: loadSfuConfig } = require('./sfu');
+const { createCluster, loadConfig: loadClusterConfig } = require('./cluster');
+const { createAuth, loadConfig: loadAuthConfig, AUTH_CLOSE_CODES } = require('./auth');
+const { createRegistry } = require('./metrics');
+const { logger } = require('./logger');
+const { parseMessage, createRateLimiter, createTokenBucket, loadConfig: loadRateLimitConfig, PROTOCOL_VERSION, MAX_MESSAGE_BYTES } = require('./messages');
 
-const server = http.createServer((req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') { res.writeHead(200); res.end(); return; }
-  if (req.url === '/health') { res.writeHead(200, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() })); return; }
-  res.writeHead(200, { 'Content-Type': 'text/plain' }); res.end('WebSocket Signaling Server');
-});
-
-const wss = new WebSocket.Server({ server, perMessageDeflate: false, clientTracking: true });
-
-// Data structures
-const rooms = new Map();          // roomId -> Set<clientId>
-const clientsById = new Map();    // clientId -> ws
-const clientsByWs = new Map();    // ws -> { id, room }
-
-function safeSend(ws, msg) {
-  try {
-    if (ws && ws.readyState === WebSocket.OPEN) { ws.send(JSON.stringify(msg)); return true; }
-  } catch (e) { console.error('safeSend error', e); }
-  return false;
-}
+// createSignalingServer({ env?, cluster?, logger? }) -> { server, nodeId, listen, close }
+//   env        settings as in readme.md (default process.env)
+//   cluster    room state, presence and scheduled rooms (default from env: this process and ROOMS_FILE, or
+//              Redis); nodes sharing one createMemoryHub() act as a cluster inside one process
+//   logger     what the node's lines are written with (default: the process-wide logger)
+// listen(port, host) resolves to the bound port (port 0 picks a free one); close() ends every session on
+// this node, as if each client had left, and resolves once the server and cluster are closed.
+function createSignalingServer({ env = process.env, cluster: givenCluster, logger: baseLogger = logger } = {}) {
+  const iceConfig = loadIceConfig(env);
+  const auth = createAuth(loadAuthConfig(env));
 
-function logRoomState(room) {
-  const set = rooms.get(room);
-  console.log(`Room ${room} members: ${set ? Array.from(set).join(', ') : '(none)'}`);
-}
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') { res.writeHead(200); res.end(); return; }
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/ice-servers') {
+      handleIceServers(req, res).catch((e) => {
+        log.error('ice servers error', { err: e });
+        sendJson(res, 500, { error: 'internal error' });
+      });
+      return;
+    }
+    if (url.pathname === '/api/rooms' || url.pathname.startsWith('/api/rooms/')) {
+      handleRoomsApi(req, res, url).catch((e) => {
+        log.error('rooms api error', { method: req.method, path: url.pathname, err: e });
+        sendJson(res, 500, { error: 'internal error' });
+      });
+      return;
+    }
+    if (url.pathname === '/metrics') {
+      metrics.render().then(
+        (body) => { res.writeHead(200, { 'Content-Type': metrics.contentType }); res.end(body); },
+        (e) => { log.error('metrics error', { err: e }); sendJson(res, 500, { error: 'internal error' }); }
+      );
+      return;
+    }
+    if (url.pathname === '/admin/rooms' || url.pathname.startsWith('/admin/rooms/')) {
+      handleAdminApi(req, res, url).catch((e) => {
+        log.error('admin api error', { method: req.method, path: url.pathname, err: e });
+        sendJson(res, 500, { error: 'internal error' });
+      });
+      return;
+    }
+    if (url.pathname === '/api/logs') {
+      handleClientLogs(req, res).catch((e) => {
+        log.error('client logs error', { err: e });
+        sendJson(res, 500, { error: 'internal error' });
+      });
+      return;
+    }
+    if (url.pathname === '/health') { res.writeHead(200, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() })); return; }
+    res.writeHead(200, { 'Content-Type': 'text/plain' }); res.end('WebSocket Signaling Server');
+  });
 
-function cleanupClient(ws, reason = 'unknown') {
-  const info = clientsByWs.get(ws);
-  if (!info) return;
-  const { id, room } = info;
-  console.log(`Cleaning up client ${id} (reason=${reason})`);
-  if (room) leaveRoomById(id, room);
-  clientsByWs.delete(ws);
-  clientsById.delete(id);
-}
+  // frames over MAX_MESSAGE_BYTES get a MESSAGE_TOO_LARGE reply; far bigger ones close the socket (1009)
+  const wss = new WebSocket.Server({ noServer: true, perMessageDeflate: false, clientTracking: true, maxPayload: 4 * MAX_MESSAGE_BYTES });
+  const rateLimitConfig = loadRateLimitConfig(env);
+
+  // Identity is settled here, before the socket gets a client id: see auth.js
+  server.on('upgrade', (req, socket, head) => {
+    auth.authenticate(req).then(
+      (user) => wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, user)),
+      (err) => {
+        log.info('socket refused', { address: req.socket.remoteAddress, code: err.code, reason: err.message });
+        wss.handleUpgrade(req, socket, head, (ws) => ws.close(AUTH_CLOSE_CODES[err.code], err.code));
+      }
+    );
+  });
 
-wss.on('connection', (ws, req) => {
-  const clientId = Math.random().toString(36).substring(2, 9);
-  clientsByWs.set(ws, { id: clientId, room: null });
-  clientsById.set(clientId, ws);
+  // Rooms and presence are shared through the cluster (see cluster.js: this process only, or Redis
+  // when several nodes run side by side). What's below is this node's own connections.
+  const cluster = givenCluster || createCluster(loadClusterConfig(env));
+  const NODE_ID = cluster.nodeId;
+  const log = baseLogger.child({ node: NODE_ID });
+  const clientsById = new Map();    // clientId -> ws (connected to this node)
+  const clientsByWs = new Map();    // ws -> { id, room, resumeToken, waitingRoom, name, media }
+  const pendingResumes = new Map(); // clientId -> timer (disconnected from this node, slot held)
 
-  console.log(`Client connected: ${clientId} from ${req.socket.remoteAddress}`);
-  safeSend(ws, { type: 'client-id', clientId });
+  // how long a dropped client's id and room slot are held for a `resume`
+  const RESUME_GRACE_MS = parseInt(env.RESUME_GRACE_MS, 10) || 20_000;
 
-  // ping/pong keepalive
-  let isAlive = true;
-  ws.on('pong', () => { isAlive = true; });
-  const pingInterval = setInterval(() => {
-    if (!isAlive) {
-      clearInterval(pingInterval);
-      return ws.terminate();
-    }
-    isAlive = false;
-    try { ws.ping(); } catch (e) { /* ignore */ }
-  }, 30_000);
-
-  ws.on('message', (raw) => {
-    let msg;
-    try { msg = JSON.parse(raw); } catch (e) { console.warn('invalid json'); return; }
-    // heartbeat support
-    if (msg && msg.type === 'heartbeat') {
-      try { ws.send(JSON.stringify({ type: 'pong', ts: Date.now() })); } catch(e) {}
+  // capacity: a mesh sends everyone's media to everyone, so it stops working well long before an sfu room
+  const parseLimit = (value, fallback) => { const n = parseInt(value, 10); return Number.isFinite(n) && n > 0 ? n : fallback; };
+  const LIMITS = {
+    meshRoomSize: parseLimit(env.MAX_MESH_ROOM_SIZE, 8),
+    sfuRoomSize: parseLimit(env.MAX_SFU_ROOM_SIZE, 50),
+    rooms: parseLimit(env.MAX_ROOMS, 500),
+    participants: parseLimit(env.MAX_PARTICIPANTS, 2000)
+  };
+  const roomSizeLimit = (mode) => (mode === 'sfu' ? LIMITS.sfuRoomSize : LIMITS.meshRoomSize);
+
+  function createResumeToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  function tokensMatch(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  function safeSend(ws, msg) {
+    try {
+      if (ws && ws.readyState === WebSocket.OPEN) { ws.send(JSON.stringify(msg)); return true; }
+    } catch (e) { log.error('send failed', { err: e }); }
+    return false;
+  }
+
+  // error { code, message, request?, room? } - the server refused a request. code is what clients
+  // act on: INVALID_ROOM, ROOM_FULL, ROOM_LOCKED, ROOM_CLOSED, SERVER_FULL, PASSWORD_REQUIRED,
+  // WRONG_PASSWORD, JOIN_DENIED (the host said no); for any message: INVALID_MESSAGE, UNKNOWN_TYPE,
+  // UNSUPPORTED_VERSION, MESSAGE_TOO_LARGE (see messages.js), RATE_LIMITED (with retryAfterMs) and
+  // NOT_IN_ROOM (a relay to someone outside the sender's room). message is for logs and developers.
+  function sendError(ws, code, message, details = {}) {
+    safeSend(ws, { type: 'error', code, message, ...details });
+  }
+
+  // Media for rooms in 'sfu' mode is forwarded by the server instead of a peer-to-peer mesh.
+  // Forwarding happens inside one node: with several nodes, an sfu room only works for the
+  // clients whose connections land on the same one.
+  const sfu = createSfu({
+    config: loadSfuConfig(env, iceConfig.stunUrls),
+    send: (clientId, msg) => safeSend(clientsById.get(clientId), msg)
+  });
+
+  // GET /metrics (Prometheus). Clients, relays and ping timeouts are this node's; rooms are the cluster's.
+  const metrics = createRegistry();
+  const ROOM_SIZE_BOUNDS = [1, 2, 4, 8, 16, 50];
+  metrics.gauge('veo_chat_connected_clients', 'Signaling sockets connected to this node', () => clientsByWs.size);
+  metrics.gauge('veo_chat_active_rooms', 'Rooms with at least one member', () => cluster.roomCount());
+  metrics.rangeGauge('veo_chat_rooms', 'Active rooms by how many members they have', 'size_bucket', ROOM_SIZE_BOUNDS,
+    async () => Array.from((await cluster.listRooms()).values(), state => state.members.length));
+  const relayedMessages = metrics.counter('veo_chat_messages_relayed_total', 'Signaling messages relayed to another client, by type');
+  const droppedRelays = metrics.counter('veo_chat_relays_dropped_total', 'Signaling messages not relayed, by type and reason (unavailable, not-in-room)');
+  const pingTimeouts = metrics.counter('veo_chat_ping_timeouts_total', 'Sockets closed for not answering a ping');
+
+  /* ========== Cluster delivery ========== */
+
+  // presence record for a client of this node; other nodes read name/media for the roster
+  function publishPresence(info, reconnecting = false) {
+    return cluster.setClient(info.id, {
+      node: NODE_ID, userId: info.user ? info.user.id : null, room: info.room, name: info.name, media: info.media, resumeToken: info.resumeToken, reconnecting
+    });
+  }
+
+  // Sends to a client wherever it is connected: our own socket, or its node over the backplane
+  async function sendToClient(clientId, msg) {
+    const ws = clientsById.get(clientId);
+    if (ws) return safeSend(ws, msg);
+    const presence = await cluster.getClient(clientId);
+    if (!presence || presence.node === NODE_ID) return false;
+    await cluster.publish(presence.node, { to: clientId, msg });
+    return true;
+  }
+
+  // Some changes made by another client's request must happen where the affected client is
+  // connected (its socket state, its sfu link): run them there.
+  const clientCommands = {
+    'left-room': (clientId, { room }) => markLeftRoom(clientId, room),
+    'lobby-ended': (clientId, { room, error }) => endLobbyWait(clientId, room, error),
+    admitted: (clientId, { room }) => completeAdmission(clientId, room),
+    release: (clientId) => releaseSession(clientId)
+  };
+
+  async function runOnClientNode(clientId, command, args = {}, node = null) {
+    const target = node || (clientsById.has(clientId) || pendingResumes.has(clientId) ? NODE_ID : (await cluster.getClient(clientId) || {}).node);
+    if (!target) return;
+    if (target === NODE_ID) return clientCommands[command](clientId, args);
+    await cluster.publish(target, { to: clientId, command, args });
+  }
+
+  cluster.onMessage(({ to, msg, command, args }) => {
+    if (command) {
+      if (!clientCommands[command]) { log.warn('unknown cluster command', { command }); return; }
+      Promise.resolve(clientCommands[command](to, args || {})).catch((e) => log.error('cluster command failed', { command, clientId: to, err: e }));
       return;
     }
+    safeSend(clientsById.get(to), msg);
+  });
+
+  // clients of a node that died without cleaning up (see cluster.js) leave, as after an expired resume
+  cluster.onDeadClients(async (room, clientIds) => {
+    for (const id of clientIds) {
+      log.info('removing client of a dead node', { clientId: id, room });
+      await leaveLobby(id, room);
+      await leaveRoomById(id, room);
+    }
+  });
+
+  async function logRoomState(room) {
+    if (!log.isLevelEnabled('debug')) return;
+    const state = await cluster.getRoom(room);
+    log.debug('room members', { room, members: state ? state.members : [] });
+  }
+
+  // everything logged about a connection carries its client id (and user, when signed in)
+  function connectionLog(info) {
+    return log.child(info.user ? { clientId: info.id, userId: info.user.id } : { clientId: info.id });
+  }
+
+  // one id per join or offer/answer exchange, echoed in replies and relays so client and server logs line up
+  function createTraceId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  // graceful=true holds the id and room slot for RESUME_GRACE_MS so a reconnecting
+  // client can `resume`; peers only see peer-left once the grace period expires
+  async function cleanupClient(ws, reason = 'unknown', graceful = false) {
+    const info = clientsByWs.get(ws);
+    if (!info) return;
+    const { id, room } = info;
+    if (info.waitingRoom) await leaveLobby(id, info.waitingRoom);
+    clientsByWs.delete(ws);
+    if (clientsById.get(id) === ws) clientsById.delete(id);
+
+    if (graceful && RESUME_GRACE_MS > 0) {
+      info.log.info('holding for resume', { room, reason, graceMs: RESUME_GRACE_MS });
+      const timer = setTimeout(() => expireResume(id, room).catch((e) => log.error('resume expiry failed', { clientId: id, err: e })), RESUME_GRACE_MS);
+      pendingResumes.set(id, timer);
+      await publishPresence(info, true);
+      if (room) await broadcastRoster(room);
+      return;
+    }
+
+    info.log.info('cleaning up', { room, reason });
+    if (room) await leaveRoomById(id, room);
+    await cluster.removeClient(id);
+  }
+
+  async function expireResume(id, room) {
+    pendingResumes.delete(id);
+    // resumed on another node in the meantime
+    const presence = await cluster.getClient(id);
+    if (presence && presence.node !== NODE_ID) return;
+    log.info('resume grace expired', { clientId: id, room });
+    if (room) await leaveRoomById(id, room);
+    await cluster.removeClient(id);
+  }
+
+  // user: the verified identity { id, name } from the upgrade, or null when auth is off
+  wss.on('connection', (ws, req, user = null) => {
+    const clientId = Math.random().toString(36).substring(2, 9);
+    const resumeToken = createResumeToken();
+    const clientInfo = { id: clientId, user, room: null, resumeToken, name: null, media: { ...DEFAULT_MEDIA } };
+    clientInfo.log = connectionLog(clientInfo);
+    clientsByWs.set(ws, clientInfo);
+    clientsById.set(clientId, ws);
+    publishPresence(clientInfo).catch((e) => clientInfo.log.error('presence update failed', { err: e }));
+
+    clientInfo.log.info('connected', { address: req.socket.remoteAddress });
+    safeSend(ws, { type: 'client-id', clientId, resumeToken, user, protocol: PROTOCOL_VERSION });
+
+    // ping/pong keepalive
+    let isAlive = true;
+    ws.on('pong', () => { isAlive = true; });
+    const pingInterval = setInterval(() => {
+      if (!isAlive) {
+        clearInterval(pingInterval);
+        pingTimeouts.inc();
+        clientInfo.log.warn('ping timeout');
+        return ws.terminate();
+      }
+      isAlive = false;
+      try { ws.ping(); } catch (e) { /* ignore */ }
+    }, 30_000);
+
+    // room operations are async (shared state): handle this client's messages one at a time, in order
+    let queue = Promise.resolve();
+
+    const rateLimiter = createRateLimiter(rateLimitConfig);
+
+    ws.on('message', (raw) => {
+      const { message: msg, error } = parseMessage(raw);
+      const { retryAfterMs, notify } = rateLimiter.check(msg && msg.type);
+      if (retryAfterMs) {
+        if (notify) {
+          clientInfo.log.warn('rate limited', { type: msg ? msg.type : error.request, retryAfterMs });
+          sendError(ws, 'RATE_LIMITED', 'too many messages', { request: msg ? msg.type : error.request, retryAfterMs });
+        }
+        return;
+      }
+      if (error) {
+        clientInfo.log.warn('message rejected', { code: error.code, reason: error.message, type: error.request });
+        sendError(ws, error.code, error.message, error.request ? { request: error.request } : {});
+        return;
+      }
+      // heartbeat support
+      if (msg.type === 'heartbeat') {
+        try { ws.send(JSON.stringify({ type: 'pong', ts: Date.now() })); } catch(e) {}
+        return;
+      }
+      queue = queue.then(() => handleMessage(ws, msg)).catch((e) => clientInfo.log.error('message handler failed', { type: msg.type, err: e }));
+    });
+
+    ws.on('close', (code, reason) => {
+      clientInfo.log.info('disconnected', { code, reason: String(reason) });
+      clearInterval(pingInterval);
+      // 1000/1001 are deliberate (leave, tab closed); anything else may come back with `resume`
+      queue = queue.then(() => cleanupClient(ws, `close-${code}`, code !== 1000 && code !== 1001)).catch((e) => clientInfo.log.error('cleanup failed', { err: e }));
+    });
+
+
+    ws.on('close', () => { clearInterval(pingInterval); });
+    ws.on('error', () => { clearInterval(pingInterval); });
+
+    ws.on('error', (err) => {
+      clientInfo.log.error('socket error', { err });
+      clearInterval(pingInterval);
+      queue = queue.then(() => cleanupClient(ws, 'error', true)).catch((e) => clientInfo.log.error('cleanup failed', { err: e }));
+    });
+  });
+
+  async function handleMessage(ws, msg) {
     const info = clientsByWs.get(ws);
     if (!info) return;
-    const from = msg.from || info.id;
-    console.log(`Message from ${from}:`, msg.type);
+    // the socket's own id, whatever the message claims: relayed messages carry it as `from`
+    const from = info.id;
+    info.log.debug('message', { type: msg.type, room: info.room });
 
     switch (msg.type) {
-      case 'join-room': return handleJoinRoomByWs(ws, msg.room);
-      case 'leave-room': return leaveRoomById(from, msg.room || info.room);
+      case 'resume': return handleResume(ws, msg.clientId, msg.resumeToken);
+      case 'join-room': return handleJoinRoomByWs(ws, msg);
+      case 'leave-room':
+        if (info.waitingRoom) return leaveLobby(info.id, info.waitingRoom);
+        return leaveRoomById(from, msg.room || info.room);
+      case 'admit':
+      case 'deny':
+        return handleKnockResponse(info, msg);
+      case 'kick':
+      case 'lock-room':
+      case 'request-mute':
+        return handleModeration(info, msg);
       case 'offer':
       case 'answer':
       case 'ice-candidate':
-        return handleSignaling(from, msg);
+      case 'chat':        // fallback relay when the peer's data channel isn't open
+        return handleSignaling(ws, info, msg);
+      case 'media-state': return handleMediaState(info, msg);
+      case 'recording': return handleRecording(info, msg);
+      case 'sfu-answer': return sfu.handleAnswer(info.id, msg.sdp);
+      case 'sfu-candidate': return sfu.handleCandidate(info.id, msg.candidate);
+      case 'sfu-layer': return sfu.setPreferredLayer(info.id, msg.layer);
       default:
-        console.log('Unknown type', msg.type);
+        info.log.warn('unhandled message type', { type: msg.type });
     }
-  });
+  }
 
-  ws.on('close', (code, reason) => {
-    console.log(`Client disconnected: ${clientId} code=${code} reason=${reason}`);
-    clearInterval(pingInterval);
-    cleanupClient(ws, `close-${code}`);
-  });
+  /* ========== Session resumption ========== */
 
+  // Re-attach a reconnecting client to its previous id and room so peers keep their
+  // RTCPeerConnections. The fresh id issued for this socket is discarded. The old session
+  // may have been on another node; that node lets go of it (release).
+  async function handleResume(ws, oldId, token) {
+    const info = clientsByWs.get(ws);
+    if (!info) return;
 
-  ws.on('close', () => { clearInterval(pingInterval); });
-  ws.on('error', () => { clearInterval(pingInterval); });
+    const previous = oldId && oldId !== info.id ? await cluster.getClient(oldId) : null;
+    // a session only goes back to the user it was issued to
+    const sameUser = previous && previous.userId === (info.user ? info.user.id : null);
+    if (!previous || !sameUser || !tokensMatch(token, previous.resumeToken)) {
+      info.log.info('resume rejected', { previousId: oldId });
+      safeSend(ws, { type: 'resume-failed', clientId: info.id, reason: 'expired' });
+      return;
+    }
+    // its grace timer, or its old socket if that node hasn't noticed it died yet
+    await runOnClientNode(oldId, 'release', {}, previous.node);
 
-  ws.on('error', (err) => {
-    console.error(`WS error for ${clientId}:`, err);
-    clearInterval(pingInterval);
-    cleanupClient(ws, 'error');
-  });
-});
+    // drop the fresh id (and any room it joined meanwhile) in favour of the old one
+    if (info.room) await leaveRoomById(info.id, info.room);
+    clientsById.delete(info.id);
+    await cluster.removeClient(info.id);
+    const state = previous.room ? await cluster.getRoom(previous.room) : null;
+    info.id = oldId;
+    info.name = previous.name;
+    info.media = previous.media;
+    info.room = state && state.members.includes(oldId) ? previous.room : null;
+    info.resumeToken = createResumeToken();
+    clientsById.set(oldId, ws);
+    info.log = connectionLog(info);
+    await publishPresence(info);
 
-/* ========== Room logic ========== */
+    const peers = state && info.room ? state.members.filter(id => id !== oldId) : [];
+    safeSend(ws, { type: 'resumed', clientId: oldId, resumeToken: info.resumeToken, room: info.room, peers });
+    info.log.info('resumed', { room: info.room });
 
-function normalizeRoom(room) {
-  if (!room) return null;
-  return String(room).trim().toUpperCase();
-}
+    if (!info.room) return;
+    // knocks sent while the host was away were dropped
+    if (state.meta.host === oldId) await sendPendingKnocks(oldId, info.room, state.meta);
+    sfu.resendOffer(oldId);
+    await broadcastRoster(info.room);
+  }
 
-function handleJoinRoomByWs(ws, rawRoom) {
-  const room = normalizeRoom(rawRoom);
-  if (!room) { console.warn('join-room missing/invalid room'); return; }
+  // this node lets go of a session that is resuming elsewhere (or on a new socket here)
+  function releaseSession(clientId) {
+    const timer = pendingResumes.get(clientId);
+    if (timer) {
+      clearTimeout(timer);
+      pendingResumes.delete(clientId);
+    }
+    const staleWs = clientsById.get(clientId);
+    if (!staleWs) return;
+    // don't run the usual cleanup: the session carries on
+    clientsByWs.delete(staleWs);
+    clientsById.delete(clientId);
+    try { staleWs.terminate(); } catch (e) { /* ignore */ }
+  }
 
-  const info = clientsByWs.get(ws);
-  if (!info) return;
+  /* ========== Room logic ========== */
 
-  // If already in the same room, ignore
-  if (info.room === room) {
-    console.log(`Client ${info.id} attempted to re-join same room ${room} -> ignoring`);
-    safeSend(ws, { type: 'joined', peers: Array.from(rooms.get(room) || []).filter(id => id !== info.id), room });
-    return;
+  function normalizeRoom(room) {
+    if (!room) return null;
+    return String(room).trim().toUpperCase();
   }
 
-  // Leave previous room (if any)
-  if (info.room) leaveRoomById(info.id, info.room);
+  const VALID_ROOM_ID = /^[A-Z0-9_-]{1,32}$/;
 
-  info.room = room;
-  if (!rooms.has(room)) rooms.set(room, new Set());
-  const roomSet = rooms.get(room);
+  function hashPassword(password, salt = crypto.randomBytes(16)) {
+    return { salt, hash: crypto.scryptSync(String(password), salt, 32) };
+  }
 
-  // existing peers BEFORE adding
-  const existingPeers = Array.from(roomSet);
+  function checkPassword(password, passwordHash) {
+    if (typeof password !== 'string' || !password) return false;
+    const { hash } = hashPassword(password, passwordHash.salt);
+    return crypto.timingSafeEqual(hash, passwordHash.hash);
+  }
 
-  // send joined to joining client
-  safeSend(ws, { type: 'joined', peers: existingPeers, room });
+  // room state and stored rooms keep password hashes as base64 JSON
+  function encodePasswordHash({ salt, hash }) {
+    return { salt: salt.toString('base64'), hash: hash.toString('base64') };
+  }
 
-  // add into room
-  roomSet.add(info.id);
+  function decodePasswordHash(encoded) {
+    return encoded ? { salt: Buffer.from(encoded.salt, 'base64'), hash: Buffer.from(encoded.hash, 'base64') } : null;
+  }
 
-  // notify others about new peer
-  for (const peerId of roomSet) {
-    if (peerId === info.id) continue;
-    const peerWs = clientsById.get(peerId);
-    if (peerWs) safeSend(peerWs, { type: 'peer-joined', peerId: info.id, room });
+  function joinedMessage(room, state, clientId, trace) {
+    return {
+      type: 'joined',
+      trace,
+      peers: state.members.filter(id => id !== clientId),
+      room,
+      host: state.meta.host,
+      locked: state.meta.locked,
+      mode: state.meta.mode,
+      recorders: state.meta.recorders
+    };
   }
 
-  console.log(`Client ${info.id} joined room ${room} (size=${roomSet.size})`);
-  logRoomState(room);
-}
+  // join-room: { room, password?, lobby?, mode?, trace? } - password/lobby/mode only take effect when creating the room.
+  // Refusals are answered with an `error` (see sendError) carrying request: 'join-room'. The client's
+  // trace id (or a new one) is echoed in joined, lobby-waiting and refusals, and tags every log line of the join.
+  async function handleJoinRoomByWs(ws, msg) {
+    const room = normalizeRoom(msg.room);
+    const info = clientsByWs.get(ws);
+    if (!info) return;
+    const trace = msg.trace || createTraceId();
+    const joinLog = info.log.child({ room, trace });
+    const refuse = (code, message) => {
+      joinLog.info('join refused', { code });
+      sendError(ws, code, message, { request: 'join-room', room, trace });
+    };
+    if (!room || !VALID_ROOM_ID.test(room)) return refuse('INVALID_ROOM', 'room ids are 1-32 letters, digits, - or _');
+
+    // If already in the same room, ignore
+    if (info.room === room) {
+      joinLog.debug('already in room');
+      const state = await cluster.getRoom(room);
+      if (state) safeSend(ws, joinedMessage(room, state, info.id, trace));
+      return;
+    }
+    if (info.waitingRoom === room) { joinLog.debug('already waiting'); return; }
+    if (info.waitingRoom) await leaveLobby(info.id, info.waitingRoom);
 
-function leaveRoomById(clientId, rawRoom) {
-  const room = normalizeRoom(rawRoom);
-  if (!room) { console.warn('leave-room missing/invalid room'); return; }
+    // a verified name wins over the one typed in
+    info.name = sanitizeName(info.user && info.user.name) || sanitizeName(msg.name);
+    if (msg.media) info.media = sanitizeMedia(msg.media);
+    await publishPresence(info);
 
-  const roomSet = rooms.get(room);
-  if (!roomSet) { console.log(`leave-room: room ${room} not found`); return; }
-  if (!roomSet.has(clientId)) { console.log(`leave-room: client ${clientId} not in room ${room} -> ignoring`); return; }
+    const stored = await cluster.getStoredRoom(room);
+    const outsideSchedule = scheduleError(stored);
+    if (outsideSchedule) return refuse(...outsideSchedule);
+    const [roomCount, participantCount] = await Promise.all([cluster.roomCount(), cluster.participantCount()]);
 
-  roomSet.delete(clientId);
+    // decided under the room lock; everything else happens after it
+    let outcome = null; // { error: [code, message] } | { created } | { joined } | { knock, host }
+    const state = await cluster.updateRoom(room, (current) => {
+      if (!current) {
+        // first joiner creates the room and becomes host; a room created ahead of time
+        // (see Scheduled rooms) brings its stored settings instead of the joiner's
+        const password = stored ? stored.password : (msg.password ? encodePasswordHash(hashPassword(msg.password)) : null);
+        if (stored && password && !checkPassword(msg.password, decodePasswordHash(password))) {
+          outcome = { error: msg.password ? ['WRONG_PASSWORD', 'wrong password'] : ['PASSWORD_REQUIRED', 'this room needs a password'] };
+          return null;
+        }
+        if (roomCount >= LIMITS.rooms) { outcome = { error: ['SERVER_FULL', `the server has reached its limit of ${LIMITS.rooms} rooms`] }; return null; }
+        if (participantCount >= LIMITS.participants) { outcome = { error: ['SERVER_FULL', 'the server has reached its participant limit'] }; return null; }
+        const mode = (stored ? stored.mode : msg.mode) === 'sfu' ? 'sfu' : 'mesh';
+        const modeLimit = roomSizeLimit(mode);
+        outcome = { created: true };
+        return {
+          members: [info.id],
+          meta: {
+            host: info.id,
+            password,
+            lobby: stored ? stored.lobby : !!msg.lobby,
+            locked: false,
+            mode,
+            maxParticipants: Math.min(modeLimit, (stored && stored.maxParticipants) || modeLimit),
+            waiting: [],
+            recorders: []
+          }
+        };
+      }
 
-  // update clientsByWs if available
-  const ws = clientsById.get(clientId);
-  if (ws && clientsByWs.has(ws)) clientsByWs.get(ws).room = null;
+      const { meta } = current;
+      if (meta.locked) { outcome = { error: ['ROOM_LOCKED', 'the host has locked this room'] }; return current; }
+      if (current.members.length >= meta.maxParticipants) { outcome = { error: ['ROOM_FULL', `the room is full (${meta.maxParticipants} people)`] }; return current; }
+      if (participantCount >= LIMITS.participants) { outcome = { error: ['SERVER_FULL', 'the server has reached its participant limit'] }; return current; }
+      if (meta.password && !checkPassword(msg.password, decodePasswordHash(meta.password))) {
+        outcome = { error: msg.password ? ['WRONG_PASSWORD', 'wrong password'] : ['PASSWORD_REQUIRED', 'this room needs a password'] };
+        return current;
+      }
+      if (meta.lobby && meta.host !== info.id) {
+        outcome = { knock: true, host: meta.host };
+        return { ...current, meta: { ...meta, waiting: meta.waiting.includes(info.id) ? meta.waiting : [...meta.waiting, info.id] } };
+      }
+      outcome = { joined: true };
+      return { ...current, members: [...current.members, info.id] };
+    });
 
-  // notify remaining
-  for (const peerId of roomSet) {
-    const peerWs = clientsById.get(peerId);
-    if (peerWs) safeSend(peerWs, { type: 'peer-left', peerId: clientId, room });
+    if (outcome.error) return refuse(...outcome.error);
+    // Leave previous room (if any)
+    if (info.room) await leaveRoomById(info.id, info.room);
+    info.joinTrace = trace; // carried through the lobby to joined or the host's refusal
+    if (outcome.knock) {
+      info.waitingRoom = room;
+      safeSend(ws, { type: 'lobby-waiting', room, trace });
+      await sendToClient(outcome.host, { type: 'knock', room, peerId: info.id, name: info.name });
+      joinLog.info('knocking', { host: outcome.host });
+      return;
+    }
+    if (outcome.created) {
+      joinLog.info(stored ? 'room opened' : 'room created', { password: !!state.meta.password, lobby: state.meta.lobby, mode: state.meta.mode });
+    }
+    await completeJoin(ws, room, state);
   }
 
-  if (roomSet.size === 0) {
-    rooms.delete(room);
-    console.log(`Room ${room} deleted (empty)`);
-  } else {
-    console.log(`Client ${clientId} left room ${room} (size=${roomSet.size})`);
+  // A scheduled room opens EARLY_JOIN_MS before its start and, when it has a duration, takes no one
+  // after its end; people already in the call stay. Rooms without a start time are always open.
+  const EARLY_JOIN_MS = 15 * 60 * 1000;
+
+  function scheduleError(stored, now = Date.now()) {
+    if (!stored || !stored.scheduledFor) return null;
+    const start = Date.parse(stored.scheduledFor);
+    if (now < start - EARLY_JOIN_MS) return ['NOT_STARTED', `this meeting starts at ${stored.scheduledFor}`];
+    if (stored.durationMinutes && now > start + stored.durationMinutes * 60 * 1000) return ['MEETING_ENDED', 'this meeting has ended'];
+    return null;
   }
-  logRoomState(room);
-}
 
-/* ========== Signaling ========== */
-function handleSignaling(from, msg) {
-  if (!msg.target) { console.warn('signaling missing target'); return; }
-  const targetWs = clientsById.get(msg.target);
-  if (targetWs && targetWs.readyState === WebSocket.OPEN) {
-    safeSend(targetWs, { ...msg, from });
-    console.log(`Relayed ${msg.type} from ${from} -> ${msg.target}`);
-  } else {
-    console.log(`Target ${msg.target} not available`);
+  // host answers a knock with { type: 'admit' | 'deny', room, peerId }
+  async function handleKnockResponse(hostInfo, msg) {
+    const room = normalizeRoom(msg.room) || hostInfo.room;
+    if (!room) return;
+    let outcome = null; // not-host | not-waiting | deny | full | admit
+    let maxParticipants = 0;
+    await cluster.updateRoom(room, (current) => {
+      if (!current || current.meta.host !== hostInfo.id) { outcome = 'not-host'; return current; }
+      if (!current.meta.waiting.includes(msg.peerId)) { outcome = 'not-waiting'; return current; }
+      const meta = { ...current.meta, waiting: current.meta.waiting.filter(id => id !== msg.peerId) };
+      maxParticipants = meta.maxParticipants;
+      if (msg.type !== 'admit') { outcome = 'deny'; return { ...current, meta }; }
+      if (current.members.length >= meta.maxParticipants) { outcome = 'full'; return { ...current, meta }; }
+      outcome = 'admit';
+      return { members: [...current.members, msg.peerId], meta };
+    });
+
+    switch (outcome) {
+      case 'not-host': hostInfo.log.warn('knock response from non-host', { type: msg.type, room }); return;
+      case 'not-waiting': hostInfo.log.info('knock response for a guest not waiting', { type: msg.type, room, peerId: msg.peerId }); return;
+      case 'deny':
+        hostInfo.log.info('guest denied', { room, peerId: msg.peerId });
+        return runOnClientNode(msg.peerId, 'lobby-ended', { room, error: ['JOIN_DENIED', 'the host declined the request to join'] });
+      case 'full':
+        hostInfo.log.info('guest admitted to a full room', { room, peerId: msg.peerId });
+        return runOnClientNode(msg.peerId, 'lobby-ended', { room, error: ['ROOM_FULL', `the room is full (${maxParticipants} people)`] });
+      default:
+        hostInfo.log.info('guest admitted', { room, peerId: msg.peerId });
+        return runOnClientNode(msg.peerId, 'admitted', { room });
+    }
   }
+
+  // on the guest's node: the host let it in (it is already listed as a member)
+  async function completeAdmission(clientId, room) {
+    const ws = clientsById.get(clientId);
+    const info = ws && clientsByWs.get(ws);
+    if (!info || info.waitingRoom !== room) {
+      // gone while the host decided
+      await leaveRoomById(clientId, room);
+      return;
+    }
+    info.waitingRoom = null;
+    const state = await cluster.getRoom(room);
+    if (state) await completeJoin(ws, room, state);
+  }
+
+  // on the guest's node: its wait is over without getting in (denied, full, room closed)
+  function endLobbyWait(clientId, room, error) {
+    const ws = clientsById.get(clientId);
+    const info = ws && clientsByWs.get(ws);
+    if (!info || info.waitingRoom !== room) return;
+    info.waitingRoom = null;
+    if (error) {
+      info.log.info('lobby wait ended', { room, trace: info.joinTrace, code: error[0] });
+      sendError(ws, error[0], error[1], { request: 'join-room', room, trace: info.joinTrace });
+    }
+  }
+
+  async function leaveLobby(clientId, room) {
+    const ws = clientsById.get(clientId);
+    if (ws && clientsByWs.has(ws)) clientsByWs.get(ws).waitingRoom = null;
+    let host = null;
+    await cluster.updateRoom(room, (current) => {
+      if (!current || !current.meta.waiting.includes(clientId)) return current;
+      host = current.meta.host;
+      return { ...current, meta: { ...current.meta, waiting: current.meta.waiting.filter(id => id !== clientId) } };
+    });
+    if (!host) return;
+    await sendToClient(host, { type: 'knock-cancelled', room, peerId: clientId });
+    log.info('stopped waiting', { clientId, room });
+  }
+
+  // The room state already lists the client: tell it, then everyone else
+  async function completeJoin(ws, room, state) {
+    const info = clientsByWs.get(ws);
+    if (!info) return;
+    info.room = room;
+    await publishPresence(info);
+
+    // send joined (with the peers already there) to the joining client
+    safeSend(ws, joinedMessage(room, state, info.id, info.joinTrace));
+
+    // host rejoining: replay knocks it may have missed
+    if (state.meta.host === info.id) await sendPendingKnocks(info.id, room, state.meta);
+
+    // sfu rooms: the server offers the client its single connection right after joined
+    if (state.meta.mode === 'sfu') sfu.join(room, info.id);
+
+    // notify others about new peer
+    const peers = state.members.filter(id => id !== info.id);
+    await Promise.all(peers.map(peerId => sendToClient(peerId, { type: 'peer-joined', peerId: info.id, room })));
+
+    await broadcastRoster(room);
+    info.log.info('joined room', { room, trace: info.joinTrace, size: state.members.length });
+    await logRoomState(room);
+  }
+
+  async function leaveRoomById(clientId, rawRoom) {
+    const room = normalizeRoom(rawRoom);
+    if (!room) { log.warn('leave-room without a valid room', { clientId }); return; }
+
+    let previous = null;
+    const state = await cluster.updateRoom(room, async (current) => {
+      if (!current || !current.members.includes(clientId)) return current;
+      previous = current;
+      const members = current.members.filter(id => id !== clientId);
+      if (members.length === 0) return null;
+      const meta = { ...current.meta, recorders: current.meta.recorders.filter(id => id !== clientId) };
+      // hand the host role to the longest-present member that is still connected
+      if (meta.host === clientId) {
+        const presence = await cluster.getClients(members);
+        meta.host = members.find(id => presence.get(id) && !presence.get(id).reconnecting) || members[0];
+      }
+      return { members, meta };
+    });
+    if (!previous) { log.debug('leave-room for a room the client is not in', { clientId, room }); return; }
+
+    // its socket state and sfu link live on its own node
+    await runOnClientNode(clientId, 'left-room', { room });
+
+    // notify remaining
+    const remaining = previous.members.filter(id => id !== clientId);
+    await Promise.all(remaining.map(peerId => sendToClient(peerId, { type: 'peer-left', peerId: clientId, room })));
+
+    if (!state) {
+      await closeRoom(room, previous.meta);
+      log.info('room deleted (empty)', { clientId, room });
+    } else {
+      if (previous.meta.recorders.includes(clientId)) await broadcastToRoom(room, { type: 'recording', room, peerId: clientId, active: false });
+      if (state.meta.host !== previous.meta.host) await announceHost(room, state.meta);
+      await broadcastRoster(room);
+      log.info('left room', { clientId, room, size: state.members.length });
+    }
+    await logRoomState(room);
+  }
+
+  // on the client's node: it is no longer in the room
+  function markLeftRoom(clientId, room) {
+    sfu.leave(clientId);
+    const ws = clientsById.get(clientId);
+    const info = ws && clientsByWs.get(ws);
+    if (info && info.room === room) {
+      info.room = null;
+      return publishPresence(info);
+    }
+  }
+
+  async function announceHost(room, meta) {
+    await broadcastToRoom(room, { type: 'host-changed', room, host: meta.host });
+    await sendPendingKnocks(meta.host, room, meta);
+    log.info('host transferred', { room, host: meta.host });
+  }
+
+  async function broadcastToRoom(room, msg, exceptId = null) {
+    const state = await cluster.getRoom(room);
+    if (!state) return;
+    await Promise.all(state.members.filter(id => id !== exceptId).map(peerId => sendToClient(peerId, msg)));
+  }
+
+  async function sendPendingKnocks(hostId, room, meta) {
+    if (!meta.waiting.length) return;
+    const guests = await cluster.getClients(meta.waiting);
+    await Promise.all(meta.waiting.map(waitingId => {
+      const guest = guests.get(waitingId);
+      return sendToClient(hostId, { type: 'knock', room, peerId: waitingId, name: guest ? guest.name : null });
+    }));
+  }
+
+  /* ========== Roster & media state ========== */
+
+  const DEFAULT_MEDIA = { audio: true, video: true, screen: false };
+
+  // display names are free text from the client: trim, drop control chars, cap length
+  function sanitizeName(name) {
+    if (typeof name !== 'string') return null;
+    const clean = name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 40);
+    return clean || null;
+  }
+
+  function sanitizeMedia(media, previous = DEFAULT_MEDIA) {
+    const pick = (key) => (typeof media[key] === 'boolean' ? media[key] : previous[key]);
+    return { audio: pick('audio'), video: pick('video'), screen: pick('screen') };
+  }
+
+  // Everyone in the room gets the full participant list on any change; rooms are small
+  async function broadcastRoster(room) {
+    const state = await cluster.getRoom(room);
+    if (!state) return;
+    const presence = await cluster.getClients(state.members);
+    const participants = state.members.map(id => {
+      // members in their resume grace period are still listed, flagged as reconnecting
+      const info = presence.get(id);
+      return {
+        id,
+        name: info ? info.name : null,
+        host: state.meta.host === id,
+        media: (info && info.media) || DEFAULT_MEDIA,
+        reconnecting: !info || info.reconnecting
+      };
+    });
+    await Promise.all(state.members.map(peerId => sendToClient(peerId, { type: 'roster', room, participants })));
+  }
+
+  // media-state { audio?, video?, screen? } - mic/camera/screen-share toggles
+  async function handleMediaState(info, msg) {
+    info.media = sanitizeMedia(msg, info.media || DEFAULT_MEDIA);
+    await publishPresence(info);
+    if (info.room) await broadcastRoster(info.room);
+  }
+
+  /* ========== Recording indicator ========== */
+
+  // recording { active } - recordings stay on the recorder's machine; the server only
+  // tells the room who is recording (and newcomers via `joined`)
+  async function handleRecording(info, msg) {
+    if (!info.room) return;
+    const active = msg.active === true;
+    let changed = false;
+    await cluster.updateRoom(info.room, (current) => {
+      if (!current || active === current.meta.recorders.includes(info.id)) return current;
+      changed = true;
+      const recorders = active ? [...current.meta.recorders, info.id] : current.meta.recorders.filter(id => id !== info.id);
+      return { ...current, meta: { ...current.meta, recorders } };
+    });
+    if (!changed) return;
+    info.log.info(active ? 'recording started' : 'recording stopped', { room: info.room });
+    await broadcastToRoom(info.room, { type: 'recording', room: info.room, peerId: info.id, active });
+  }
+
+  /* ========== Host moderation ========== */
+
+  // kick { peerId } | lock-room { locked } | request-mute { peerId? } (no peerId = everyone)
+  async function handleModeration(hostInfo, msg) {
+    const room = hostInfo.room;
+    const state = room ? await cluster.getRoom(room) : null;
+    if (!state || state.meta.host !== hostInfo.id) { hostInfo.log.warn('moderation from non-host', { type: msg.type, room }); return; }
+
+    switch (msg.type) {
+      case 'kick': {
+        if (!msg.peerId || msg.peerId === hostInfo.id || !state.members.includes(msg.peerId)) { hostInfo.log.warn('kick target not in room', { room, peerId: msg.peerId }); return; }
+        await sendToClient(msg.peerId, { type: 'kicked', room, by: hostInfo.id });
+        hostInfo.log.info('member removed', { room, peerId: msg.peerId });
+        return leaveRoomById(msg.peerId, room);
+      }
+      case 'lock-room': {
+        const locked = msg.locked !== false;
+        await cluster.updateRoom(room, (current) => (current ? { ...current, meta: { ...current.meta, locked } } : current));
+        hostInfo.log.info(locked ? 'room locked' : 'room unlocked', { room });
+        return broadcastToRoom(room, { type: 'room-locked', room, locked });
+      }
+      case 'request-mute': {
+        const request = { type: 'request-mute', room, from: hostInfo.id };
+        if (!msg.peerId) return broadcastToRoom(room, request, hostInfo.id);
+        if (!state.members.includes(msg.peerId)) { hostInfo.log.warn('request-mute target not in room', { room, peerId: msg.peerId }); return; }
+        await sendToClient(msg.peerId, request);
+        return;
+      }
+      default:
+        return;
+    }
+  }
+
+  // room is gone: anyone still knocking is turned away
+  async function closeRoom(room, meta) {
+    await Promise.all(meta.waiting.map(waitingId => runOnClientNode(waitingId, 'lobby-ended', {
+      room, error: ['ROOM_CLOSED', 'the room closed before the host let you in']
+    })));
+  }
+
+  /* ========== Signaling ========== */
+  // only between members of the same room: a socket can't reach clients it doesn't share a call with.
+  // Offers and answers keep the sender's trace id (or get one) so both ends can find the negotiation in their logs.
+  const TRACED_TYPES = new Set(['offer', 'answer']);
+
+  async function handleSignaling(ws, info, msg) {
+    const from = info.id;
+    const relay = { ...msg, from, room: info.room };
+    if (TRACED_TYPES.has(msg.type)) relay.trace = msg.trace || createTraceId();
+    const fields = { type: msg.type, room: info.room, target: msg.target, trace: relay.trace };
+    const state = info.room ? await cluster.getRoom(info.room) : null;
+    if (!state || !state.members.includes(from) || !state.members.includes(msg.target) || msg.target === from) {
+      info.log.warn('relay refused: not in the same room', fields);
+      droppedRelays.inc({ type: msg.type, reason: 'not-in-room' });
+      sendError(ws, 'NOT_IN_ROOM', `${msg.target} is not in your room`, { request: msg.type, target: msg.target, trace: relay.trace });
+      return;
+    }
+    if (await sendToClient(msg.target, relay)) {
+      // candidates and chat are too many to log at info
+      if (relay.trace) info.log.info('relayed', fields);
+      else info.log.debug('relayed', fields);
+      relayedMessages.inc({ type: msg.type });
+    } else {
+      info.log.info('relay target unavailable', fields);
+      droppedRelays.inc({ type: msg.type, reason: 'unavailable' });
+    }
+  }
+
+  /* ========== ICE servers ========== */
+
+  // GET /ice-servers -> { iceServers, ttl }. TURN credentials are handed out under the same authentication
+  // as the socket (a 401 without a valid token when it's on) and name the verified user, so a TURN server's
+  // logs and quotas see who relayed; without authentication everyone is "anonymous".
+  async function handleIceServers(req, res) {
+    let user;
+    try { user = await auth.authenticate(req); } catch (e) { return sendJson(res, 401, { error: e.code }); }
+    return sendJson(res, 200, getIceServers(user ? user.id : null, iceConfig)); // no-store: credentials are short-lived
+  }
+
+  /* ========== Admin ========== */
+
+  // GET    /admin/rooms      -> { rooms: [{ id, mode, host, locked, lobby, maxParticipants, members, waiting, recorders }] }
+  // DELETE /admin/rooms/:id  closes a live room: members get room-closed, anyone in its lobby ROOM_CLOSED
+  // Both need Authorization: Bearer <ADMIN_TOKEN>; without ADMIN_TOKEN set they don't exist.
+  const ADMIN_TOKEN = env.ADMIN_TOKEN || null;
+
+  async function handleAdminApi(req, res, url) {
+    if (!ADMIN_TOKEN) return sendJson(res, 404, { error: 'not found' });
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !tokensMatch(token, ADMIN_TOKEN)) return sendJson(res, 401, { error: 'admin token required' });
+
+    if (url.pathname === '/admin/rooms') {
+      if (req.method !== 'GET') return sendJson(res, 405, { error: 'method not allowed' });
+      const rooms = await cluster.listRooms();
+      const presence = await cluster.getClients(Array.from(rooms.values()).flatMap(state => state.members));
+      const list = Array.from(rooms, ([id, { members, meta }]) => ({
+        id,
+        mode: meta.mode,
+        host: meta.host,
+        locked: meta.locked,
+        lobby: meta.lobby,
+        passwordProtected: !!meta.password,
+        maxParticipants: meta.maxParticipants,
+        members: members.map(memberId => {
+          const info = presence.get(memberId);
+          return {
+            id: memberId,
+            name: info ? info.name : null,
+            userId: info ? info.userId : null,
+            node: info ? info.node : null,
+            reconnecting: !info || info.reconnecting
+          };
+        }),
+        waiting: meta.waiting,
+        recorders: meta.recorders
+      }));
+      return sendJson(res, 200, { rooms: list });
+    }
+
+    const rawRoom = decodePathSegment(url.pathname.slice('/admin/rooms/'.length));
+    if (rawRoom === null) return sendJson(res, 400, { error: 'malformed room id' });
+    const room = normalizeRoom(rawRoom);
+    if (req.method !== 'DELETE') return sendJson(res, 405, { error: 'method not allowed' });
+    if (!room || !(await closeRoomAsAdmin(room))) return sendJson(res, 404, { error: 'room not found' });
+    res.writeHead(204);
+    res.end();
+  }
+
+  // the whole room goes at once: no host handovers or rosters on the way down
+  async function closeRoomAsAdmin(room) {
+    let closed = null;
+    await cluster.updateRoom(room, (current) => {
+      closed = current;
+      return null;
+    });
+    if (!closed) return false;
+    log.info('room closed by an admin', { room, members: closed.members.length });
+    await Promise.all(closed.members.map(async (memberId) => {
+      await sendToClient(memberId, { type: 'room-closed', room });
+      await runOnClientNode(memberId, 'left-room', { room });
+    }));
+    await closeRoom(room, closed.meta);
+    return true;
+  }
+
+  /* ========== Client logs ========== */
+
+  // POST /api/logs  { reason?, context?, entries: [{ time, level, scope, msg, ... }] } -> 201 { id }
+  // A client's recent log lines, sent when someone hits "Send logs" after a failed call. Each upload is
+  // written as its own file under CLIENT_LOG_DIR; without it set the endpoint doesn't exist.
+  // Entries carry the same trace ids as the server's lines for the join and the offers/answers they cover.
+  // With authentication on, uploads need the signaling token (Authorization: Bearer or ?token=). Uploads
+  // are limited per user (or per address when anonymous), and the oldest files are pruned so the
+  // directory stays under CLIENT_LOG_MAX_MB and keeps nothing older than CLIENT_LOG_RETENTION_DAYS.
+  const CLIENT_LOG_DIR = env.CLIENT_LOG_DIR || null;
+  const CLIENT_LOG_MAX_BYTES = 512 * 1024;
+  const CLIENT_LOG_MAX_ENTRIES = 2000;
+  const CLIENT_LOG_DIR_MAX_BYTES = parseLimit(env.CLIENT_LOG_MAX_MB, 200) * 1024 * 1024;
+  const CLIENT_LOG_RETENTION_MS = parseLimit(env.CLIENT_LOG_RETENTION_DAYS, 14) * 24 * 60 * 60 * 1000;
+  const CLIENT_LOG_FILE = /^\d{4}-\d{2}-\d{2}T[\d-]+Z-[0-9a-f]{16}\.json$/;
+  const CLIENT_LOG_BUCKET_IDLE_MS = 10 * 60 * 1000;
+  const clientLogUploads = new Map(); // user id or address -> { bucket, lastUsed }: 5 at once, then 1 a minute
+
+  function takeClientLogUpload(key) {
+    const now = Date.now();
+    // a bucket idle this long has refilled: forgetting it changes nothing
+    for (const [other, entry] of clientLogUploads) {
+      if (now - entry.lastUsed > CLIENT_LOG_BUCKET_IDLE_MS) clientLogUploads.delete(other);
+    }
+    let entry = clientLogUploads.get(key);
+    if (!entry) {
+      entry = { bucket: createTokenBucket(5, 1 / 60), lastUsed: now };
+      clientLogUploads.set(key, entry);
+    }
+    entry.lastUsed = now;
+    return entry.bucket.take();
+  }
+
+  // drops uploads past retention, then the oldest until `incoming` more bytes fit under the cap
+  async function pruneClientLogs(incoming) {
+    const names = (await fs.promises.readdir(CLIENT_LOG_DIR)).filter(name => CLIENT_LOG_FILE.test(name)).sort();
+    const files = await Promise.all(names.map(async (name) => {
+      const file = path.join(CLIENT_LOG_DIR, name);
+      const { size, mtimeMs } = await fs.promises.stat(file);
+      return { file, size, mtimeMs };
+    }));
+    let total = files.reduce((sum, { size }) => sum + size, 0);
+    const cutoff = Date.now() - CLIENT_LOG_RETENTION_MS;
+    for (const { file, size, mtimeMs } of files) { // oldest first: names start with the upload time
+      if (mtimeMs >= cutoff && total + incoming <= CLIENT_LOG_DIR_MAX_BYTES) break;
+      await fs.promises.rm(file, { force: true });
+      total -= size;
+    }
+  }
+
+  async function handleClientLogs(req, res) {
+    if (!CLIENT_LOG_DIR) return sendJson(res, 404, { error: 'not found' });
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'method not allowed' });
+    let user;
+    try { user = await auth.authenticate(req); } catch (e) { return sendJson(res, 401, { error: e.code }); }
+    if (!takeClientLogUpload(user ? `user:${user.id}` : `address:${req.socket.remoteAddress}`)) {
+      return sendJson(res, 429, { error: 'too many log uploads, try again later' });
+    }
+
+    let body;
+    try { body = await readJsonBody(req, CLIENT_LOG_MAX_BYTES); } catch (e) { return sendJson(res, e.status || 400, { error: e.message }); }
+    const { entries } = body;
+    if (!Array.isArray(entries) || entries.length > CLIENT_LOG_MAX_ENTRIES || !entries.every(entry => entry && typeof entry === 'object')) {
+      return sendJson(res, 400, { error: `entries must be a list of at most ${CLIENT_LOG_MAX_ENTRIES} objects` });
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const receivedAt = new Date().toISOString();
+    const reason = typeof body.reason === 'string' ? body.reason.slice(0, 200) : null;
+    const record = JSON.stringify({
+      id,
+      receivedAt,
+      node: NODE_ID,
+      userId: user ? user.id : null,
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 256),
+      reason,
+      context: body.context && typeof body.context === 'object' ? body.context : null,
+      entries
+    });
+    await fs.promises.mkdir(CLIENT_LOG_DIR, { recursive: true });
+    await pruneClientLogs(Buffer.byteLength(record));
+    await fs.promises.writeFile(path.join(CLIENT_LOG_DIR, `${receivedAt.replace(/[:.]/g, '-')}-${id}.json`), record);
+    log.info('client logs received', { uploadId: id, userId: user ? user.id : null, entries: entries.length, reason });
+    return sendJson(res, 201, { id });
+  }
+
+  /* ========== Scheduled rooms (REST) ========== */
+
+  // POST   /api/rooms      { name, scheduledFor?, durationMinutes?, password?, maxParticipants?, lobby?, mode? }
+  //                        -> 201 { room, manageToken }; the token is only returned here
+  // GET    /api/rooms      -> { limits: { maxParticipants: { mesh, sfu } } }: the most maxParticipants may be for
+  //                        each mode (MAX_MESH_ROOM_SIZE / MAX_SFU_ROOM_SIZE); POST and PATCH refuse more
+  // GET    /api/rooms/:id  -> { room }; there is no listing, as room ids double as invite links
+  // PATCH  /api/rooms/:id  same fields (password: null removes it), Authorization: Bearer <manageToken>
+  // DELETE /api/rooms/:id  Authorization: Bearer <manageToken>
+  // Changes apply the next time the room starts; a call in progress keeps its settings. scheduledFor and
+  // durationMinutes bound when people may join (see scheduleError).
+
+  const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I: ids get read out loud
+  const ROOM_ID_LENGTH = 6;
+  const MAX_BODY_BYTES = 16 * 1024;
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  // a path segment of a REST url; null when its %-escapes are malformed (e.g. /api/rooms/%E0)
+  function decodePathSegment(segment) {
+    try { return decodeURIComponent(segment); } catch (e) { return null; }
+  }
+
+  function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) { reject(Object.assign(new Error('body too large'), { status: 413 })); req.destroy(); return; }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        try { resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {}); }
+        catch (e) { reject(Object.assign(new Error('invalid json'), { status: 400 })); }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async function createRoomId() {
+    for (;;) {
+      const bytes = crypto.randomBytes(ROOM_ID_LENGTH);
+      const id = Array.from(bytes, b => ROOM_ID_ALPHABET[b % ROOM_ID_ALPHABET.length]).join('');
+      if (!(await cluster.getStoredRoom(id)) && !(await cluster.getRoom(id))) return id;
+    }
+  }
+
+  const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+  // what anyone with the link may see
+  async function publicRoom(record) {
+    const state = await cluster.getRoom(record.id);
+    return {
+      id: record.id,
+      name: record.name,
+      scheduledFor: record.scheduledFor,
+      durationMinutes: record.durationMinutes,
+      passwordRequired: !!record.password,
+      maxParticipants: record.maxParticipants,
+      lobby: record.lobby,
+      mode: record.mode,
+      invitePath: `/r/${record.id}`,
+      live: state ? state.members.length : 0,
+      createdAt: record.createdAt
+    };
+  }
+
+  // Validates the fields present in body. Returns { fields } or { error }.
+  function parseRoomFields(body) {
+    const fields = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'expected a JSON object' };
+    if (body.name !== undefined) {
+      const name = sanitizeName(body.name);
+      if (!name) return { error: 'name must be a non-empty string' };
+      fields.name = name;
+    }
+    if (body.scheduledFor !== undefined) {
+      const time = body.scheduledFor === null ? null : Date.parse(body.scheduledFor);
+      if (Number.isNaN(time)) return { error: 'scheduledFor must be an ISO date' };
+      fields.scheduledFor = time === null ? null : new Date(time).toISOString();
+    }
+    if (body.durationMinutes !== undefined) {
+      const minutes = body.durationMinutes;
+      if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60)) return { error: 'durationMinutes must be 1-1440' };
+      fields.durationMinutes = minutes;
+    }
+    if (body.maxParticipants !== undefined) {
+      const max = body.maxParticipants;
+      if (max !== null && (!Number.isInteger(max) || max < 2)) return { error: 'maxParticipants must be a whole number of at least 2' };
+      fields.maxParticipants = max;
+    }
+    if (body.lobby !== undefined) fields.lobby = body.lobby === true;
+    if (body.mode !== undefined) {
+      if (body.mode !== 'mesh' && body.mode !== 'sfu') return { error: "mode must be 'mesh' or 'sfu'" };
+      fields.mode = body.mode;
+    }
+    if (body.password !== undefined) {
+      if (body.password !== null && (typeof body.password !== 'string' || !body.password)) return { error: 'password must be a non-empty string or null' };
+      const hashed = body.password ? hashPassword(body.password) : null;
+      fields.password = hashed ? encodePasswordHash(hashed) : null;
+    }
+    return { fields };
+  }
+
+  // checked on the whole record, as a PATCH may change the mode or the size alone
+  function roomSizeError({ mode, maxParticipants }) {
+    const limit = roomSizeLimit(mode);
+    return maxParticipants !== null && maxParticipants > limit ? `maxParticipants must be 2-${limit} for ${mode} rooms` : null;
+  }
+
+  async function handleRoomsApi(req, res, url) {
+    const rawId = decodePathSegment(url.pathname.slice('/api/rooms/'.length));
+    if (rawId === null) return sendJson(res, 400, { error: 'malformed room id' });
+    const id = normalizeRoom(rawId);
+
+    if (url.pathname === '/api/rooms') {
+      if (req.method === 'GET') return sendJson(res, 200, { limits: { maxParticipants: { mesh: LIMITS.meshRoomSize, sfu: LIMITS.sfuRoomSize } } });
+      if (req.method !== 'POST') return sendJson(res, 405, { error: 'method not allowed' });
+      let body;
+      try { body = await readJsonBody(req); } catch (e) { return sendJson(res, e.status || 400, { error: e.message }); }
+      const { fields, error } = parseRoomFields(body);
+      if (error) return sendJson(res, 400, { error });
+      if (!fields.name) return sendJson(res, 400, { error: 'name is required' });
+      const sizeError = roomSizeError({ mode: 'mesh', maxParticipants: null, ...fields });
+      if (sizeError) return sendJson(res, 400, { error: sizeError });
+
+      const manageToken = crypto.randomBytes(24).toString('base64url');
+      const record = await cluster.putStoredRoom({
+        id: await createRoomId(),
+        name: fields.name,
+        scheduledFor: null,
+        durationMinutes: null,
+        password: null,
+        maxParticipants: null,
+        lobby: false,
+        mode: 'mesh',
+        ...fields,
+        manageTokenHash: hashToken(manageToken),
+        createdAt: new Date().toISOString()
+      });
+      log.info('stored room created', { room: record.id, name: record.name, scheduledFor: record.scheduledFor });
+      return sendJson(res, 201, { room: await publicRoom(record), manageToken });
+    }
+
+    const record = id ? await cluster.getStoredRoom(id) : null;
+    if (!record) return sendJson(res, 404, { error: 'room not found' });
+    if (req.method === 'GET') return sendJson(res, 200, { room: await publicRoom(record) });
+    if (req.method !== 'PATCH' && req.method !== 'DELETE') return sendJson(res, 405, { error: 'method not allowed' });
+
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !tokensMatch(hashToken(token), record.manageTokenHash)) {
+      return sendJson(res, 403, { error: 'manage token required' });
+    }
+
+    if (req.method === 'DELETE') {
+      await cluster.removeStoredRoom(record.id);
+      log.info('stored room deleted', { room: record.id });
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    let body;
+    try { body = await readJsonBody(req); } catch (e) { return sendJson(res, e.status || 400, { error: e.message }); }
+    const { fields, error } = parseRoomFields(body);
+    if (error) return sendJson(res, 400, { error });
+    const sizeError = roomSizeError({ ...record, ...fields });
+    if (sizeError) return sendJson(res, 400, { error: sizeError });
+    const updated = await cluster.putStoredRoom({ ...record, ...fields });
+    log.info('stored room updated', { room: record.id });
+    return sendJson(res, 200, { room: await publicRoom(updated) });
+  }
+
+  /* ========== Lifecycle ========== */
+
+  function listen(port = 0, host = '0.0.0.0') {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        const bound = server.address().port;
+        log.info('signaling server listening', {
+          address: `${host}:${bound}`,
+          auth: auth.describe(),
+          limits: LIMITS,
+          ice: { stunUrls: iceConfig.stunUrls.length, turnUrls: iceConfig.turnUrls.length, turnRest: !!iceConfig.turnSecret },
+          clientLogs: CLIENT_LOG_DIR || 'off'
+        });
+        resolve(bound);
+      });
+    });
+  }
+
+  async function close() {
+    const sockets = Array.from(clientsByWs.keys());
+    // no grace on the way down: peers see these clients leave now
+    await Promise.all(sockets.map(ws => cleanupClient(ws, 'shutdown')));
+    sockets.forEach(ws => ws.terminate());
+    await Promise.all(Array.from(pendingResumes, async ([id, timer]) => {
+      clearTimeout(timer);
+      const presence = await cluster.getClient(id);
+      await expireResume(id, presence && presence.room);
+    }));
+    wss.close();
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+    await cluster.close();
+  }
+
+  return { server, nodeId: NODE_ID, listen, close };
 }
 
 /* ===== start server ===== */
-const PORT = process.env.PORT || 8888;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 WebSocket server running on 0.0.0.0:${PORT}`);
-});
+if (require.main === module) {
+  createSignalingServer().listen(process.env.PORT || 8888, '0.0.0.0');
+}
+
+module.exports = { createSignalingServer };
 
 
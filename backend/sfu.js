@@ -0,0 +1,298 @@
+// backend/sfu.js - Selective Forwarding Unit for rooms created with mode 'sfu'
+//
+// Each client gets one server-side RTCPeerConnection: it sends its audio/video up once and
+// receives every other member's tracks on sendonly transceivers whose stream id is the
+// publisher's client id. The server always makes the offers (sfu-offer), so there is no glare.
+//
+// Video goes up as simulcast (rids q/h/f, lowest first). Each subscriber gets one layer per
+// publisher: the best one up to the layer it asked for with sfu-layer, switched on a keyframe.
+//
+// Configuration (env):
+//   SFU_PORT_RANGE    UDP port range for media, e.g. 40000-40100 (default: any port)
+//   SFU_ANNOUNCED_IP  extra host address to advertise, e.g. the public IP behind 1:1 NAT
+
+const {
+  RTCPeerConnection,
+  RTCRtpCodecParameters,
+  MediaStream,
+  MediaStreamTrack,
+  Vp8RtpPayload,
+  useSdesMid,
+  useSdesRTPStreamId,
+  useRepairedRtpStreamId,
+  useAbsSendTime
+} = require('werift');
+const log = require('./logger').logger.child({ module: 'sfu' });
+
+// simulcast layers, lowest first; a client that can't send simulcast sends one rid-less stream
+const LAYERS = ['q', 'h', 'f'];
+
+// one codec per kind so forwarded RTP never needs transcoding
+const CODECS = {
+  audio: [
+    new RTCRtpCodecParameters({ mimeType: 'audio/opus', clockRate: 48000, channels: 2 })
+  ],
+  video: [
+    new RTCRtpCodecParameters({
+      mimeType: 'video/VP8',
+      clockRate: 90000,
+      rtcpFeedback: [{ type: 'nack' }, { type: 'nack', parameter: 'pli' }, { type: 'goog-remb' }]
+    })
+  ]
+};
+
+// werift recycles any inactive m-line for the next addTransceiver, whatever its kind;
+// an uplink the client left inactive (no camera) or a half-removed downlink must not be reused
+function pinTransceiver(transceiver) {
+  transceiver.usedForSender = true;
+  return transceiver;
+}
+
+// rank of a layer: unknown / rid-less streams count as the only layer there is
+const layerRank = (rid) => Math.max(0, LAYERS.indexOf(rid));
+
+const isKeyframe = (rtp) => {
+  try { return Vp8RtpPayload.deSerialize(rtp.payload).isKeyframe; } catch (e) { return false; }
+};
+
+function loadConfig(env = process.env, stunUrls = []) {
+  const [min, max] = String(env.SFU_PORT_RANGE || '').split('-').map(n => parseInt(n, 10));
+  return {
+    portRange: Number.isFinite(min) && Number.isFinite(max) && min <= max ? [min, max] : undefined,
+    announcedIps: String(env.SFU_ANNOUNCED_IP || '').split(',').map(s => s.trim()).filter(Boolean),
+    // STUN only: the server needs its reflexive address, not a relay
+    iceServers: stunUrls.map(urls => ({ urls }))
+  };
+}
+
+// send(clientId, msg) delivers a signaling message to a client (dropped while it is away)
+function createSfu({ config = loadConfig(), send }) {
+  // clientId -> { id, room, pc, uplink, publishers: Map<kind, { layers: Map<rid, track>, receiver }>,
+  //               downlinks: [], preferredLayer, negotiating, renegotiate }
+  const sessions = new Map();
+
+  const roomSessions = (room, exceptId) => Array.from(sessions.values()).filter(s => s.room === room && s.id !== exceptId);
+
+  function requestKeyframe(publisher, rid) {
+    const source = publisher && publisher.publishers.get('video');
+    const tracks = source ? (rid === undefined ? Array.from(source.layers.values()) : [source.layers.get(rid)]) : [];
+    tracks.forEach(track => {
+      if (track && track.ssrc) source.receiver.sendRtcpPLI(track.ssrc).catch(() => { /* not connected yet */ });
+    });
+  }
+
+  // the layer a subscriber should get from a publisher: the best one at or below its
+  // preference, or the lowest one available when nothing is that low
+  function pickLayer(subscriber, source) {
+    const rids = Array.from(source.layers.keys()).sort((a, b) => layerRank(a) - layerRank(b));
+    const allowed = rids.filter(rid => layerRank(rid) <= subscriber.preferredLayer);
+    return allowed.length ? allowed[allowed.length - 1] : rids[0];
+  }
+
+  // forward one publisher track to a subscriber; packets are re-serialized per subscriber
+  // because the sender rewrites ssrc/sequence numbers in place
+  function addDownlink(subscriber, publisher, kind) {
+    const source = publisher.publishers.get(kind);
+    const out = new MediaStreamTrack({ kind });
+    const transceiver = pinTransceiver(subscriber.pc.addTransceiver(out, {
+      direction: 'sendonly',
+      streams: [new MediaStream({ id: publisher.id })]
+    }));
+    const link = { publisherId: publisher.id, kind, out, transceiver, rid: null, unSubscribe: () => {}, cancelSwitch: () => {} };
+    if (kind === 'video') {
+      transceiver.sender.onPictureLossIndication.subscribe(() => requestKeyframe(publisher, link.rid));
+    }
+    subscriber.downlinks.push(link);
+    forwardLayer(link, publisher, pickLayer(subscriber, source));
+  }
+
+  // Start forwarding layer rid on a link. The first switch is immediate; later ones wait for a
+  // keyframe on the new layer and continue the sequence numbers so the decoder sees one stream.
+  function forwardLayer(link, publisher, rid) {
+    const track = publisher.publishers.get(link.kind).layers.get(rid);
+    if (!track || link.rid === rid) return;
+    link.cancelSwitch();
+    const forward = (rtp) => link.out.writeRtp(rtp.serialize());
+
+    if (link.rid === null) {
+      link.rid = rid;
+      link.unSubscribe = track.onReceiveRtp.subscribe(forward).unSubscribe;
+      return;
+    }
+    const pending = track.onReceiveRtp.subscribe(rtp => {
+      if (!isKeyframe(rtp)) return;
+      pending.unSubscribe();
+      link.cancelSwitch = () => {};
+      link.unSubscribe();
+      link.transceiver.sender.replaceRTP(rtp.header, true);
+      link.rid = rid;
+      link.unSubscribe = track.onReceiveRtp.subscribe(forward).unSubscribe;
+      forward(rtp);
+    });
+    link.cancelSwitch = () => { pending.unSubscribe(); link.cancelSwitch = () => {}; };
+    requestKeyframe(publisher, rid);
+  }
+
+  // move every video downlink of a subscriber to the layer it should get now
+  function reselectLayers(subscriber) {
+    subscriber.downlinks.forEach(link => {
+      if (link.kind !== 'video') return;
+      const publisher = sessions.get(link.publisherId);
+      const source = publisher && publisher.publishers.get('video');
+      if (source) forwardLayer(link, publisher, pickLayer(subscriber, source));
+    });
+  }
+
+  function closeLink(link) {
+    link.cancelSwitch();
+    link.unSubscribe();
+  }
+
+  function removeDownlinks(subscriber, publisherId) {
+    subscriber.downlinks = subscriber.downlinks.filter(link => {
+      if (link.publisherId !== publisherId) return true;
+      closeLink(link);
+      try { subscriber.pc.removeTrack(link.transceiver.sender); } catch (e) { /* connection closed */ }
+      return false;
+    });
+  }
+
+  // uplink tells the client which mids to attach its own microphone and camera to
+  const offerMessage = (session) => ({
+    type: 'sfu-offer',
+    sdp: { type: 'offer', sdp: session.pc.localDescription.sdp },
+    uplink: Object.fromEntries(session.uplink.map(t => [t.kind, t.mid]))
+  });
+
+  // offers are serialized: a change while one is outstanding re-offers after the answer
+  async function negotiate(session) {
+    if (session.negotiating) { session.renegotiate = true; return; }
+    session.negotiating = true;
+    session.renegotiate = false;
+    try {
+      await session.pc.setLocalDescription(await session.pc.createOffer());
+      send(session.id, offerMessage(session));
+    } catch (err) {
+      session.negotiating = false;
+      log.error('offer failed', { clientId: session.id, room: session.room, err });
+    }
+  }
+
+  function publishLayer(session, kind, receiver, track) {
+    const rid = track.rid || '';
+    const source = session.publishers.get(kind);
+    if (source) {
+      // another simulcast layer of a track subscribers already get
+      source.layers.set(rid, track);
+      roomSessions(session.room, session.id).forEach(reselectLayers);
+      return;
+    }
+    session.publishers.set(kind, { layers: new Map([[rid, track]]), receiver });
+    roomSessions(session.room, session.id).forEach(subscriber => {
+      addDownlink(subscriber, session, kind);
+      negotiate(subscriber);
+    });
+    log.info('publishing', { clientId: session.id, room: session.room, kind });
+  }
+
+  function join(room, clientId) {
+    if (sessions.has(clientId)) leave(clientId);
+
+    const pc = new RTCPeerConnection({
+      codecs: CODECS,
+      headerExtensions: {
+        audio: [useSdesMid()],
+        video: [useSdesMid(), useAbsSendTime(), useSdesRTPStreamId(), useRepairedRtpStreamId()]
+      },
+      iceServers: config.iceServers,
+      icePortRange: config.portRange,
+      iceAdditionalHostAddresses: config.announcedIps
+    });
+    const session = {
+      id: clientId, room, pc, uplink: [], publishers: new Map(), downlinks: [],
+      preferredLayer: LAYERS.length - 1, negotiating: false, renegotiate: false
+    };
+    sessions.set(clientId, session);
+
+    // uplink: the client attaches its microphone and camera/screen to these
+    ['audio', 'video'].forEach(kind => {
+      const transceiver = pinTransceiver(pc.addTransceiver(kind, {
+        direction: 'recvonly',
+        simulcast: kind === 'video' ? LAYERS.map(rid => ({ rid, direction: 'recv' })) : undefined
+      }));
+      session.uplink.push(transceiver);
+      // werift announces a track per offered rid up front; a layer only counts once packets arrive
+      transceiver.onTrack.subscribe(track => {
+        const { unSubscribe } = track.onReceiveRtp.subscribe(() => {
+          unSubscribe();
+          publishLayer(session, kind, transceiver.receiver, track);
+        });
+      });
+    });
+
+    // downlinks for everyone already publishing
+    roomSessions(room, clientId).forEach(publisher => {
+      publisher.publishers.forEach((source, kind) => addDownlink(session, publisher, kind));
+    });
+
+    pc.onIceCandidate.subscribe(candidate => {
+      if (candidate) send(clientId, { type: 'sfu-candidate', candidate: candidate.toJSON() });
+    });
+    pc.connectionStateChange.subscribe(state => {
+      log.info('connection state', { clientId, room, state });
+      if (state === 'connected') roomSessions(room, clientId).forEach(publisher => requestKeyframe(publisher));
+    });
+
+    negotiate(session);
+  }
+
+  async function handleAnswer(clientId, sdp) {
+    const session = sessions.get(clientId);
+    if (!session || !sdp) return;
+    try {
+      await session.pc.setRemoteDescription(sdp);
+    } catch (err) {
+      log.error('answer rejected', { clientId, err });
+    }
+    session.negotiating = false;
+    if (session.renegotiate) negotiate(session);
+  }
+
+  async function handleCandidate(clientId, candidate) {
+    const session = sessions.get(clientId);
+    if (!session || !candidate) return;
+    try { await session.pc.addIceCandidate(candidate); } catch (err) { log.warn('candidate rejected', { clientId, err: err.message }); }
+  }
+
+  function leave(clientId) {
+    const session = sessions.get(clientId);
+    if (!session) return;
+    sessions.delete(clientId);
+    session.downlinks.forEach(closeLink);
+    session.pc.close().catch(() => { /* already closed */ });
+    roomSessions(session.room).forEach(subscriber => {
+      if (!subscriber.downlinks.some(link => link.publisherId === clientId)) return;
+      removeDownlinks(subscriber, clientId);
+      negotiate(subscriber);
+    });
+    log.info('left', { clientId, room: session.room });
+  }
+
+  // sfu-layer: the highest simulcast layer the client wants, lowered when its downlink struggles
+  function setPreferredLayer(clientId, rid) {
+    const session = sessions.get(clientId);
+    if (!session || !LAYERS.includes(rid)) return;
+    session.preferredLayer = LAYERS.indexOf(rid);
+    reselectLayers(session);
+  }
+
+  // after a signaling resume: an offer sent while the client was away was lost
+  function resendOffer(clientId) {
+    const session = sessions.get(clientId);
+    if (session && session.pc.signalingState === 'have-local-offer') send(clientId, offerMessage(session));
+  }
+
+  return { join, leave, handleAnswer, handleCandidate, setPreferredLayer, resendOffer, has: (clientId) => sessions.has(clientId) };
+}
+
+module.exports = { createSfu, loadConfig };
@@ -0,0 +1,128 @@
+// backend/test/cluster.test.js - the Redis adapter of cluster.js against an in-memory fake (test/fakeRedis.js)
+//
+// Run with `npm test` (node's built-in test runner).
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedisCluster } = require('../cluster');
+const { createFakeRedis } = require('./fakeRedis');
+
+const HEARTBEAT_MS = 30;
+const NODE_TTL_MS = 3 * HEARTBEAT_MS;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('redis cluster', () => {
+  let Redis;
+  const nodes = [];
+  // each node's connections, so a test can stall them as if the node had died
+  const startNode = (nodeId) => {
+    const connections = [];
+    const cluster = createRedisCluster({
+      url: 'redis://fake',
+      nodeId,
+      heartbeatMs: HEARTBEAT_MS,
+      Redis: class extends Redis { constructor(url) { super(url); connections.push(this); } }
+    });
+    const node = { cluster, crash: () => connections.forEach(connection => connection.stall()), crashed: false };
+    nodes.push(node);
+    return node;
+  };
+  const crash = (node) => { node.crash(); node.crashed = true; };
+  const room = (members, waiting = []) => ({ members, meta: { host: members[0], waiting, recorders: [] } });
+
+  beforeEach(() => { Redis = createFakeRedis(); });
+  afterEach(async () => {
+    // a crashed node's connections never answer: only the live ones are closed
+    await Promise.all(nodes.splice(0).filter(node => !node.crashed).map(node => node.cluster.close()));
+  });
+
+  test('room state and presence round-trip and count across nodes', async () => {
+    const a = startNode('a').cluster;
+    const b = startNode('b').cluster;
+    await a.setClient('ann', { node: 'a', room: 'R1' });
+    await a.updateRoom('R1', () => room(['ann']));
+    await b.updateRoom('R1', (current) => ({ ...current, members: [...current.members, 'bob'] }));
+    assert.deepEqual((await b.getRoom('R1')).members, ['ann', 'bob']);
+    assert.equal(await a.roomCount(), 1);
+    assert.equal(await a.participantCount(), 2);
+    assert.deepEqual(await b.getClient('ann'), { node: 'a', room: 'R1' });
+    await a.updateRoom('R1', () => null);
+    assert.equal(await b.roomCount(), 0);
+  });
+
+  test('stored rooms written by one node are read, changed and removed by another', async () => {
+    const a = startNode('a').cluster;
+    const b = startNode('b').cluster;
+    await a.putStoredRoom({ id: 'ABC234', name: 'Standup', maxParticipants: null });
+    assert.deepEqual(await b.getStoredRoom('ABC234'), { id: 'ABC234', name: 'Standup', maxParticipants: null });
+    await b.putStoredRoom({ id: 'ABC234', name: 'Retro', maxParticipants: 4 });
+    assert.equal((await a.getStoredRoom('ABC234')).name, 'Retro');
+    assert.equal(await a.removeStoredRoom('ABC234'), true);
+    assert.equal(await b.removeStoredRoom('ABC234'), false);
+    assert.equal(await b.getStoredRoom('ABC234'), null);
+  });
+
+  test('delivers published envelopes to the named node only', async () => {
+    const a = startNode('a').cluster;
+    const b = startNode('b').cluster;
+    const received = [];
+    a.onMessage((envelope) => received.push(['a', envelope]));
+    b.onMessage((envelope) => received.push(['b', envelope]));
+    await sleep(HEARTBEAT_MS); // subscriptions settle
+    await a.publish('b', { to: 'bob', msg: { type: 'ping' } });
+    await sleep(HEARTBEAT_MS);
+    assert.deepEqual(received, [['b', { to: 'bob', msg: { type: 'ping' } }]]);
+  });
+
+  test('presence outlives its TTL while its node beats, and expires once the node stops', async () => {
+    const a = startNode('a');
+    await a.cluster.setClient('ann', { node: 'a' });
+    await sleep(NODE_TTL_MS * 3);
+    assert.ok(await a.cluster.getClient('ann'), 'presence kept alive by the heartbeat');
+
+    const b = startNode('b').cluster;
+    crash(a);
+    await sleep(NODE_TTL_MS * 2);
+    assert.equal(await b.getClient('ann'), null);
+  });
+
+  test('live nodes report the members and lobby guests of a dead node, room by room', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+    await a.cluster.setClient('ann', { node: 'a' });
+    await a.cluster.setClient('amy', { node: 'a' });
+    await b.cluster.setClient('bob', { node: 'b' });
+    await b.cluster.updateRoom('R1', () => room(['bob', 'ann'], ['amy']));
+    await b.cluster.updateRoom('R2', () => room(['bob']));
+
+    const reports = [];
+    b.cluster.onDeadClients(async (roomId, ids) => {
+      reports.push([roomId, ids]);
+      await b.cluster.updateRoom(roomId, (current) => ({
+        members: current.members.filter(id => !ids.includes(id)),
+        meta: { ...current.meta, waiting: current.meta.waiting.filter(id => !ids.includes(id)) }
+      }));
+    });
+    await sleep(NODE_TTL_MS * 2);
+    assert.deepEqual(reports, [], 'nothing to report while every node beats');
+
+    crash(a);
+    await sleep(NODE_TTL_MS * 4);
+    assert.deepEqual(reports, [['R1', ['ann', 'amy']]]);
+    assert.deepEqual((await b.cluster.getRoom('R1')).members, ['bob']);
+  });
+
+  test('a node closing cleanly is no longer counted alive', async () => {
+    const a = startNode('a');
+    const b = startNode('b');
+    await b.cluster.setClient('bob', { node: 'b' });
+    await a.cluster.updateRoom('R1', () => room(['bob']));
+    const reports = [];
+    a.cluster.onDeadClients(async (roomId, ids) => { reports.push([roomId, ids]); });
+    nodes.splice(nodes.indexOf(b), 1);
+    await b.cluster.close();
+    await sleep(NODE_TTL_MS * 2);
+    assert.deepEqual(reports.slice(0, 1), [['R1', ['bob']]]);
+  });
+});
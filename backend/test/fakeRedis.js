@@ -0,0 +1,113 @@
+// backend/test/fakeRedis.js - an in-memory stand-in for the ioredis client, covering the commands cluster.js uses
+//
+// createFakeRedis() returns a Redis class for createRedisCluster({ Redis }); every connection made from it
+// shares one keyspace and one pub/sub, as connections to a single Redis server would. Keys set with PX expire
+// on time. connection.stall() makes a connection behave like a process that has hung or been cut off: its
+// commands never complete and its subscriptions hear nothing.
+
+const { EventEmitter } = require('events');
+
+// compare-and-delete, the one script cluster.js runs (its lock release)
+const UNLOCK_SCRIPT = /^if redis\.call\('get', KEYS\[1\]\) == ARGV\[1\] then return redis\.call\('del', KEYS\[1\]\) else return 0 end$/;
+
+function createFakeRedis() {
+  const strings = new Map(); // key -> { value, expiresAt }
+  const hashes = new Map();  // key -> Map field -> value
+  const subscribers = new Map(); // channel -> Set of connections
+
+  const read = (key) => {
+    const entry = strings.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) strings.delete(key);
+    return strings.get(key) || null;
+  };
+  const hash = (key) => hashes.get(key) || new Map();
+
+  const commands = {
+    get: (key) => { const entry = read(key); return entry ? entry.value : null; },
+    mget: (keys) => keys.map(key => commands.get(key)),
+    set: (key, value, ...options) => {
+      const upper = options.map(option => String(option).toUpperCase());
+      if (upper.includes('NX') && read(key)) return null;
+      const px = upper.indexOf('PX');
+      strings.set(key, { value: String(value), expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+      return 'OK';
+    },
+    pexpire: (key, ms) => {
+      const entry = read(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+    del: (...keys) => keys.filter(key => (read(key) && strings.delete(key)) || hashes.delete(key)).length,
+    hset: (key, field, value) => {
+      const fields = hash(key);
+      const added = fields.has(field) ? 0 : 1;
+      hashes.set(key, fields.set(field, String(value)));
+      return added;
+    },
+    hget: (key, field) => (hash(key).has(field) ? hash(key).get(field) : null),
+    hdel: (key, ...fields) => fields.filter(field => hash(key).delete(field)).length,
+    hkeys: (key) => Array.from(hash(key).keys()),
+    hvals: (key) => Array.from(hash(key).values()),
+    hlen: (key) => hash(key).size,
+    eval: (script, numKeys, key, token) => {
+      if (!UNLOCK_SCRIPT.test(script)) throw new Error('fake redis only runs the lock release script');
+      return commands.get(key) === token ? commands.del(key) : 0;
+    },
+    publish: (channel, message) => {
+      const listeners = Array.from(subscribers.get(channel) || []).filter(connection => !connection.stalled);
+      // delivered later, as over a socket
+      listeners.forEach(connection => setImmediate(() => connection.emit('message', channel, message)));
+      return listeners.length;
+    }
+  };
+
+  class FakeRedis extends EventEmitter {
+    constructor(url) {
+      super();
+      this.url = url;
+      this.stalled = false;
+      for (const name of Object.keys(commands)) {
+        this[name] = (...args) => this.run(() => commands[name](...args));
+      }
+    }
+
+    run(fn) {
+      if (this.stalled) return new Promise(() => {});
+      try { return Promise.resolve(fn()); } catch (e) { return Promise.reject(e); }
+    }
+
+    subscribe(channel) {
+      return this.run(() => {
+        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+        subscribers.get(channel).add(this);
+        return 1;
+      });
+    }
+
+    // queued commands run back to back when exec() is called; results as ioredis gives them: [[err, result]]
+    multi() {
+      const queued = [];
+      const batch = { exec: () => this.run(() => queued.map(fn => [null, fn()])) };
+      for (const name of Object.keys(commands)) {
+        batch[name] = (...args) => { queued.push(() => commands[name](...args)); return batch; };
+      }
+      return batch;
+    }
+
+    quit() {
+      return this.run(() => {
+        subscribers.forEach(connections => connections.delete(this));
+        return 'OK';
+      });
+    }
+
+    stall() {
+      this.stalled = true;
+    }
+  }
+
+  return FakeRedis;
+}
+
+module.exports = { createFakeRedis };
@@ -0,0 +1,545 @@
+// backend/test/signaling.test.js - the signaling protocol end to end: a real server on a free port, real ws clients
+//
+// Run with `npm test` (node's built-in test runner).
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createSignalingServer } = require('../server');
+const { createMemoryCluster, createMemoryHub, createRedisCluster } = require('../cluster');
+const { createFakeRedis } = require('./fakeRedis');
+const { createLogger } = require('../logger');
+
+const WAIT_MS = 2000;
+const QUIET_MS = 150;
+
+// settings come from here only, so the developer's own environment doesn't change what is tested
+const testEnv = (extra = {}) => ({ ROOMS_FILE: path.join(os.tmpdir(), `veo-chat-test-${process.pid}.json`), ...extra });
+const quietLogger = createLogger({ config: { level: 'error', format: 'json' }, write: () => {} });
+
+async function startNode(options = {}) {
+  const node = createSignalingServer({ env: testEnv(), logger: quietLogger, ...options });
+  const port = await node.listen(0, '127.0.0.1');
+  return { ...node, url: `ws://127.0.0.1:${port}` };
+}
+
+// A client that keeps every message it receives; next(type) takes the first one of that type
+// (waiting for it if need be), so tests read replies in the order they care about.
+function connect(url) {
+  const ws = new WebSocket(url);
+  const inbox = [];
+  const waiters = [];
+
+  ws.on('message', (data) => {
+    const msg = JSON.parse(data);
+    const waiter = waiters.find(w => w.type === msg.type);
+    if (waiter) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(msg);
+    } else {
+      inbox.push(msg);
+    }
+  });
+
+  const client = {
+    ws,
+    id: null,
+    hello: null, // the client-id message
+    send: (msg) => ws.send(typeof msg === 'string' ? msg : JSON.stringify({ v: 1, ...msg })),
+    next(type) {
+      const index = inbox.findIndex(msg => msg.type === type);
+      if (index !== -1) return Promise.resolve(inbox.splice(index, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`no ${type} message within ${WAIT_MS}ms (got: ${inbox.map(msg => msg.type).join(', ') || 'nothing'})`));
+        }, WAIT_MS);
+        const waiter = { type, resolve, timer };
+        waiters.push(waiter);
+      });
+    },
+    // resolves once the server has had time to send anything it was going to; fails if a `type` arrived
+    async nothing(type) {
+      await new Promise(resolve => setTimeout(resolve, QUIET_MS));
+      const unexpected = inbox.find(msg => msg.type === type);
+      assert.equal(unexpected, undefined, `unexpected ${type}: ${JSON.stringify(unexpected)}`);
+    },
+    close() {
+      if (ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+      return new Promise(resolve => { ws.once('close', resolve); ws.close(1000); });
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    ws.once('error', reject);
+    client.next('client-id').then((msg) => { client.id = msg.clientId; client.hello = msg; resolve(client); }, reject);
+  });
+}
+
+// HS256, as backend/auth.js checks it
+function signJwt(payload, secret) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+async function join(client, room, extra = {}) {
+  client.send({ type: 'join-room', room, ...extra });
+  return client.next('joined');
+}
+
+describe('signaling server', () => {
+  let node;
+  const clients = [];
+  const open = async () => { const client = await connect(node.url); clients.push(client); return client; };
+
+  before(async () => { node = await startNode(); });
+  after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await node.close();
+  });
+
+  test('greets each socket with its own client id and the protocol version', async () => {
+    const a = await open();
+    const b = await open();
+    assert.match(a.id, /^[a-z0-9]+$/);
+    assert.notEqual(a.id, b.id);
+    assert.equal(a.hello.protocol, 1);
+    assert.equal(typeof a.hello.resumeToken, 'string');
+  });
+
+  test('join-room: the first joiner creates the room and becomes host', async () => {
+    const a = await open();
+    const joined = await join(a, 'alpha', { trace: 'join-trace-1' });
+    assert.equal(joined.room, 'ALPHA');
+    assert.deepEqual(joined.peers, []);
+    assert.equal(joined.host, a.id);
+    assert.equal(joined.mode, 'mesh');
+    assert.equal(joined.trace, 'join-trace-1');
+  });
+
+  test('join-room: later joiners get the peers already there, who get peer-joined', async () => {
+    const a = await open();
+    const b = await open();
+    const c = await open();
+    await join(a, 'fanout');
+    assert.deepEqual((await join(b, 'fanout')).peers, [a.id]);
+    assert.equal((await a.next('peer-joined')).peerId, b.id);
+
+    const joined = await join(c, 'fanout');
+    assert.deepEqual(joined.peers.sort(), [a.id, b.id].sort());
+    assert.equal(joined.host, a.id);
+    assert.equal((await a.next('peer-joined')).peerId, c.id);
+    assert.equal((await b.next('peer-joined')).peerId, c.id);
+  });
+
+  test('join-room: joining the same room again answers joined without telling the others', async () => {
+    const a = await open();
+    const b = await open();
+    await join(a, 'again');
+    await join(b, 'again');
+    await a.next('peer-joined');
+
+    const rejoined = await join(b, 'again');
+    assert.deepEqual(rejoined.peers, [a.id]);
+    await a.nothing('peer-joined');
+  });
+
+  test('join-room: an invalid room id is refused', async () => {
+    const a = await open();
+    a.send({ type: 'join-room', room: 'not a room!' });
+    const error = await a.next('error');
+    assert.equal(error.code, 'INVALID_ROOM');
+    assert.equal(error.request, 'join-room');
+  });
+
+  test('leave-room: the others get peer-left and the host role moves on', async () => {
+    const a = await open();
+    const b = await open();
+    await join(a, 'leaving');
+    await join(b, 'leaving');
+    await a.next('peer-joined');
+
+    a.send({ type: 'leave-room', room: 'leaving' });
+    assert.equal((await b.next('peer-left')).peerId, a.id);
+    assert.equal((await b.next('host-changed')).host, b.id);
+
+    // leaving a room you aren't in changes nothing
+    a.send({ type: 'leave-room', room: 'leaving' });
+    await b.nothing('peer-left');
+  });
+
+  test('leave-room: a closed socket leaves its room', async () => {
+    const a = await open();
+    const b = await open();
+    await join(a, 'closing');
+    await join(b, 'closing');
+    await a.next('peer-joined');
+
+    await b.close();
+    assert.equal((await a.next('peer-left')).peerId, b.id);
+  });
+
+  test('relays offer, answer and ice-candidate between members, from the sender\'s own id', async () => {
+    const a = await open();
+    const b = await open();
+    await join(a, 'relay');
+    await join(b, 'relay');
+
+    b.send({ type: 'offer', target: a.id, from: 'someone-else', sdp: { type: 'offer', sdp: 'v=0 offer' }, trace: 'neg-1' });
+    const offer = await a.next('offer');
+    assert.equal(offer.from, b.id);
+    assert.equal(offer.room, 'RELAY');
+    assert.deepEqual(offer.sdp, { type: 'offer', sdp: 'v=0 offer' });
+    assert.equal(offer.trace, 'neg-1');
+
+    a.send({ type: 'answer', target: b.id, sdp: { type: 'answer', sdp: 'v=0 answer' }, trace: offer.trace });
+    const answer = await b.next('answer');
+    assert.equal(answer.from, a.id);
+    assert.deepEqual(answer.sdp, { type: 'answer', sdp: 'v=0 answer' });
+    assert.equal(answer.trace, 'neg-1');
+
+    const candidate = { candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54400 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+    a.send({ type: 'ice-candidate', target: b.id, candidate });
+    const relayed = await b.next('ice-candidate');
+    assert.equal(relayed.from, a.id);
+    assert.deepEqual(relayed.candidate, candidate);
+  });
+
+  test('an offer without a trace id gets one from the server', async () => {
+    const a = await open();
+    const b = await open();
+    await join(a, 'untraced');
+    await join(b, 'untraced');
+    b.send({ type: 'offer', target: a.id, sdp: { type: 'offer', sdp: 'v=0' } });
+    assert.match((await a.next('offer')).trace, /^[0-9a-f]{16}$/);
+  });
+
+  test('relays to unknown targets or other rooms are refused with NOT_IN_ROOM', async () => {
+    const a = await open();
+    const b = await open();
+    const outsider = await open();
+    await join(a, 'inside');
+    await join(b, 'inside');
+    await join(outsider, 'outside');
+
+    a.send({ type: 'offer', target: 'nobody', sdp: { type: 'offer', sdp: 'v=0' } });
+    const unknown = await a.next('error');
+    assert.equal(unknown.code, 'NOT_IN_ROOM');
+    assert.equal(unknown.request, 'offer');
+    assert.equal(unknown.target, 'nobody');
+
+    outsider.send({ type: 'ice-candidate', target: a.id, candidate: null });
+    assert.equal((await outsider.next('error')).code, 'NOT_IN_ROOM');
+    await a.nothing('ice-candidate');
+  });
+
+  test('relays before joining any room are refused', async () => {
+    const a = await open();
+    const b = await open();
+    a.send({ type: 'offer', target: b.id, sdp: { type: 'offer', sdp: 'v=0' } });
+    assert.equal((await a.next('error')).code, 'NOT_IN_ROOM');
+    await b.nothing('offer');
+  });
+
+  test('invalid JSON, unknown types and bad fields get an error and leave the socket open', async () => {
+    const a = await open();
+    a.send('{ not json');
+    const invalid = await a.next('error');
+    assert.equal(invalid.code, 'INVALID_MESSAGE');
+
+    a.send({ type: 'no-such-type' });
+    const unknown = await a.next('error');
+    assert.equal(unknown.code, 'UNKNOWN_TYPE');
+    assert.equal(unknown.request, 'no-such-type');
+
+    a.send({ type: 'offer', target: 'x', sdp: { type: 'offer' } });
+    const missing = await a.next('error');
+    assert.equal(missing.code, 'INVALID_MESSAGE');
+    assert.match(missing.message, /sdp\.sdp/);
+
+    a.send({ type: 'join-room', room: 'STILL-OPEN', v: 99 });
+    assert.equal((await a.next('error')).code, 'UNSUPPORTED_VERSION');
+
+    assert.equal((await join(a, 'still-open')).room, 'STILL-OPEN');
+  });
+
+  test('heartbeat is answered with pong', async () => {
+    const a = await open();
+    const before = Date.now();
+    a.send({ type: 'heartbeat' });
+    const pong = await a.next('pong');
+    assert.ok(pong.ts >= before);
+  });
+
+  test('metrics count rooms by size as gauges, which may go down', async () => {
+    const a = await open();
+    const b = await open();
+    await join(a, 'metrics-pair');
+    await join(b, 'metrics-pair');
+    const scrape = async () => (await fetch(`${node.url.replace(/^ws/, 'http')}/metrics`)).text();
+    const roomsOfTwo = (text) => Number(/^veo_chat_rooms\{size_bucket="2"\} (\d+)$/m.exec(text)[1]);
+
+    const during = await scrape();
+    assert.match(during, /^# TYPE veo_chat_rooms gauge$/m);
+    assert.doesNotMatch(during, /histogram/);
+    const pairs = roomsOfTwo(during);
+    assert.ok(pairs >= 1);
+    await b.close();
+    await a.next('peer-left');
+    assert.equal(roomsOfTwo(await scrape()), pairs - 1);
+  });
+});
+
+describe('several nodes sharing one cluster', () => {
+  let nodes;
+  const clients = [];
+
+  before(async () => {
+    const hub = createMemoryHub();
+    nodes = await Promise.all(['node-a', 'node-b'].map(nodeId => startNode({ cluster: createMemoryCluster({ nodeId, hub }) })));
+  });
+  after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await Promise.all(nodes.map(node => node.close()));
+  });
+
+  test('members of one room on different nodes see each other and exchange signaling', async () => {
+    const a = await connect(nodes[0].url);
+    const b = await connect(nodes[1].url);
+    clients.push(a, b);
+    await join(a, 'spread');
+    assert.deepEqual((await join(b, 'spread')).peers, [a.id]);
+    assert.equal((await a.next('peer-joined')).peerId, b.id);
+
+    b.send({ type: 'offer', target: a.id, sdp: { type: 'offer', sdp: 'v=0' } });
+    assert.equal((await a.next('offer')).from, b.id);
+
+    await b.close();
+    assert.equal((await a.next('peer-left')).peerId, b.id);
+  });
+});
+
+describe('nodes sharing Redis', () => {
+  let Redis;
+  let live;
+  let crashed;
+  const crashedConnections = [];
+  const clients = [];
+
+  before(async () => {
+    Redis = createFakeRedis();
+    const cluster = (nodeId, Connection = Redis) => createRedisCluster({ url: 'redis://fake', nodeId, Redis: Connection, heartbeatMs: 30 });
+    live = await startNode({ cluster: cluster('node-a') });
+    crashed = await startNode({ cluster: cluster('node-b', class extends Redis { constructor(url) { super(url); crashedConnections.push(this); } }) });
+  });
+  after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await live.close();
+    // node-b can't reach Redis any more, so it can't leave cleanly: just stop listening
+    crashed.server.closeAllConnections();
+    await new Promise(resolve => crashed.server.close(resolve));
+  });
+
+  test('a room scheduled through one node is found, and its settings applied, on the other', async () => {
+    const http = (node) => node.url.replace(/^ws/, 'http');
+    const created = await fetch(`${http(live)}/api/rooms`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Retro', password: 'hunter2' })
+    });
+    const { room } = await created.json();
+    const shown = await fetch(`${http(crashed)}/api/rooms/${room.id}`);
+    assert.equal(shown.status, 200);
+    assert.equal((await shown.json()).room.name, 'Retro');
+
+    const guest = await connect(crashed.url);
+    clients.push(guest);
+    guest.send({ type: 'join-room', room: room.id });
+    assert.equal((await guest.next('error')).code, 'PASSWORD_REQUIRED');
+    await join(guest, room.id, { password: 'hunter2' });
+    await guest.close();
+  });
+
+  test('members on a node that stopped beating leave their rooms, and the host role moves on', async () => {
+    const a = await connect(live.url);
+    const b = await connect(crashed.url);
+    clients.push(a, b);
+    await join(b, 'outage');
+    await join(a, 'outage');
+    assert.equal((await b.next('peer-joined')).peerId, a.id);
+
+    crashedConnections.forEach(connection => connection.stall());
+    assert.equal((await a.next('peer-left')).peerId, b.id);
+    assert.equal((await a.next('host-changed')).host, a.id);
+  });
+});
+
+describe('client log uploads', () => {
+  const secret = 'test-secret';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'veo-chat-logs-'));
+  let node;
+  let base;
+
+  const upload = (token, bytes = 100) => fetch(`${base}/api/logs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify({ reason: 'test', entries: [{ level: 'info', msg: 'x'.repeat(bytes) }] })
+  });
+  const storedBytes = () => fs.readdirSync(dir).reduce((sum, name) => sum + fs.statSync(path.join(dir, name)).size, 0);
+
+  before(async () => {
+    node = await startNode({ env: testEnv({ AUTH_JWT_SECRET: secret, CLIENT_LOG_DIR: dir, CLIENT_LOG_MAX_MB: '1' }) });
+    base = node.url.replace(/^ws/, 'http');
+  });
+  after(async () => {
+    await node.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('need the signaling token when authentication is on', async () => {
+    assert.equal((await upload(null)).status, 401);
+    assert.equal((await upload(signJwt({ sub: 'ann' }, 'wrong-secret'))).status, 401);
+    const res = await upload(signJwt({ sub: 'ann' }, secret));
+    assert.equal(res.status, 201);
+    assert.match((await res.json()).id, /^[0-9a-f]{16}$/);
+  });
+
+  test('are limited per user and pruned to the size cap', async () => {
+    const bob = signJwt({ sub: 'bob' }, secret);
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await upload(bob, 400 * 1024)).status, 201);
+      assert.ok(storedBytes() <= 1024 * 1024, `${storedBytes()} bytes stored`);
+    }
+    assert.equal((await upload(bob)).status, 429);
+    // someone else's report still goes through
+    assert.equal((await upload(signJwt({ sub: 'cy' }, secret))).status, 201);
+  });
+});
+
+describe('scheduled rooms api', () => {
+  const roomsFile = path.join(os.tmpdir(), `veo-chat-test-rooms-${process.pid}.json`);
+  const clients = [];
+  let node;
+  let base;
+
+  const request = (path, options = {}) => fetch(`${base}${path}`, { ...options, headers: { 'Content-Type': 'application/json' } });
+  const create = (fields) => request('/api/rooms', { method: 'POST', body: JSON.stringify({ name: 'Standup', ...fields }) });
+
+  before(async () => {
+    node = await startNode({ env: testEnv({ ROOMS_FILE: roomsFile, MAX_MESH_ROOM_SIZE: '3', MAX_SFU_ROOM_SIZE: '20' }) });
+    base = node.url.replace(/^ws/, 'http');
+  });
+  after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await node.close();
+    fs.rmSync(roomsFile, { force: true });
+  });
+
+  test('a stored mesh room takes people up to the reported limit and refuses the next', async () => {
+    const { limits } = await (await request('/api/rooms')).json();
+    const { room } = await (await create({})).json(); // no size of its own: the mode's limit applies
+    for (let i = 0; i < limits.maxParticipants.mesh; i++) {
+      const client = await connect(node.url);
+      clients.push(client);
+      await join(client, room.id);
+    }
+    const late = await connect(node.url);
+    clients.push(late);
+    late.send({ type: 'join-room', room: room.id });
+    const error = await late.next('error');
+    assert.equal(error.code, 'ROOM_FULL');
+    assert.equal(error.message, `the room is full (${limits.maxParticipants.mesh} people)`);
+  });
+
+  test('a scheduled room opens 15 minutes before its start and takes no one after its end', async () => {
+    const minutes = (n) => new Date(Date.now() + n * 60 * 1000).toISOString();
+    const tryJoin = async (fields) => {
+      const { room } = await (await create(fields)).json();
+      const client = await connect(node.url);
+      clients.push(client);
+      // whichever answer comes: joined, or the error refusing it
+      const reply = new Promise(resolve => client.ws.on('message', (data) => {
+        const msg = JSON.parse(data);
+        if (msg.type === 'joined' || msg.type === 'error') resolve(msg.type === 'joined' ? 'joined' : msg.code);
+      }));
+      client.send({ type: 'join-room', room: room.id });
+      return reply;
+    };
+    assert.equal(await tryJoin({ scheduledFor: minutes(60), durationMinutes: 30 }), 'NOT_STARTED');
+    assert.equal(await tryJoin({ scheduledFor: minutes(10), durationMinutes: 30 }), 'joined');
+    assert.equal(await tryJoin({ scheduledFor: minutes(-20), durationMinutes: 30 }), 'joined');
+    assert.equal(await tryJoin({ scheduledFor: minutes(-40), durationMinutes: 30 }), 'MEETING_ENDED');
+    assert.equal(await tryJoin({ scheduledFor: minutes(-600) }), 'joined'); // no duration: open from the start on
+  });
+
+  test('create and update refuse sizes beyond the limit it reports for the room\'s mode', async () => {
+    const { limits } = await (await request('/api/rooms')).json();
+    assert.deepEqual(limits.maxParticipants, { mesh: 3, sfu: 20 });
+    assert.equal((await create({ maxParticipants: 3 })).status, 201);
+    assert.equal((await create({ maxParticipants: 4 })).status, 400);
+    assert.equal((await create({ maxParticipants: 21, mode: 'sfu' })).status, 400);
+
+    const { room, manageToken } = await (await create({ maxParticipants: 20, mode: 'sfu' })).json();
+    const patch = (fields) => fetch(`${base}/api/rooms/${room.id}`, {
+      method: 'PATCH', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${manageToken}` }, body: JSON.stringify(fields)
+    });
+    // a mesh room can't hold the 20 people the sfu one was made for
+    assert.equal((await patch({ mode: 'mesh' })).status, 400);
+    assert.equal((await patch({ mode: 'mesh', maxParticipants: 3 })).status, 200);
+  });
+
+  test('a room id with a malformed escape is a bad request', async () => {
+    const res = await request('/api/rooms/%E0');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'malformed room id');
+    assert.equal((await request('/api/rooms/NOSUCH')).status, 404);
+  });
+});
+
+describe('admin api', () => {
+  const adminToken = 'admin-secret';
+  let node;
+  let base;
+
+  const admin = (path, method = 'GET', token = adminToken) => fetch(`${base}${path}`, { method, headers: { Authorization: `Bearer ${token}` } });
+
+  before(async () => {
+    node = await startNode({ env: testEnv({ ADMIN_TOKEN: adminToken }) });
+    base = node.url.replace(/^ws/, 'http');
+  });
+  after(() => node.close());
+
+  test('needs the admin token, and answers malformed or unknown room ids without failing', async () => {
+    assert.equal((await admin('/admin/rooms', 'GET', 'wrong')).status, 401);
+    assert.deepEqual(await (await admin('/admin/rooms')).json(), { rooms: [] });
+    assert.equal((await admin('/admin/rooms/%E0', 'DELETE')).status, 400);
+    assert.equal((await admin('/admin/rooms/NOSUCH', 'DELETE')).status, 404);
+  });
+});
+
+describe('ice servers', () => {
+  const secret = 'test-secret';
+  let node;
+  let base;
+
+  const fetchIce = (token, query = '') => fetch(`${base}/ice-servers${query}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+  before(async () => {
+    node = await startNode({ env: testEnv({ AUTH_JWT_SECRET: secret, STUN_URLS: '', TURN_URLS: 'turn:turn.example.com:3478', TURN_SECRET: 'turn-secret' }) });
+    base = node.url.replace(/^ws/, 'http');
+  });
+  after(() => node.close());
+
+  test('TURN credentials need the signaling token and name its user, whatever clientId says', async () => {
+    assert.equal((await fetchIce(null)).status, 401);
+    const res = await fetchIce(signJwt({ sub: 'ann' }, secret), '?clientId=mallory');
+    assert.equal(res.status, 200);
+    const [turn] = (await res.json()).iceServers;
+    assert.match(turn.username, /^\d+:ann$/);
+    assert.equal(turn.credential, crypto.createHmac('sha1', 'turn-secret').update(turn.username).digest('base64'));
+  });
+});
@@ -0,0 +1,52 @@
+// components/BackgroundComponents.jsx
+import React, { useRef } from 'react';
+
+const COLORS = ['#1f2937', '#1d4ed8', '#047857', '#e7e5e4'];
+
+const optionClass = (selected) => `h-12 rounded-lg border-2 text-sm font-medium transition-colors ${
+  selected ? 'border-blue-600' : 'border-transparent hover:border-gray-300'
+}`;
+
+// effect: see utils/backgroundEffects; onChange(effect) applies it (busy while the model loads)
+export const BackgroundPicker = ({ effect, onChange, busy, error }) => {
+  const fileInputRef = useRef(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (file) onChange({ type: 'image', url: URL.createObjectURL(file) });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-800">Background</h3>
+        {busy && <span className="text-xs text-gray-500">Loading...</span>}
+      </div>
+      <div className="p-4 grid grid-cols-4 gap-2">
+        <button onClick={() => onChange({ type: 'none' })} disabled={busy} className={`${optionClass(effect.type === 'none')} bg-gray-100 text-gray-700`}>None</button>
+        <button onClick={() => onChange({ type: 'blur' })} disabled={busy} className={`${optionClass(effect.type === 'blur')} bg-gray-100 text-gray-700`}>Blur</button>
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          disabled={busy}
+          className={`${optionClass(effect.type === 'image')} col-span-2 bg-gray-100 text-gray-700 bg-cover bg-center`}
+          style={effect.type === 'image' ? { backgroundImage: `url(${effect.url})` } : undefined}
+        >
+          {effect.type === 'image' ? '' : '🖼️ Image...'}
+        </button>
+        {COLORS.map(color => (
+          <button
+            key={color}
+            onClick={() => onChange({ type: 'color', color })}
+            disabled={busy}
+            className={optionClass(effect.type === 'color' && effect.color === color)}
+            style={{ backgroundColor: color }}
+            title="Solid color"
+          />
+        ))}
+        <input ref={fileInputRef} type="file" accept="image/*" className="hidden" onChange={handleFile} />
+      </div>
+      {error && <div className="px-4 pb-4 text-sm text-red-700">{error}</div>}
+    </div>
+  );
+};
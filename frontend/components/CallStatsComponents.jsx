@@ -0,0 +1,72 @@
+// components/CallStatsComponents.jsx
+import React from 'react';
+import { MAX_SIGNAL_BARS, signalLevel } from '../utils/callStats';
+
+const BAR_COLORS = ['bg-red-500', 'bg-red-500', 'bg-yellow-400', 'bg-green-400', 'bg-green-400'];
+const SIGNAL_LABELS = ['Very poor', 'Poor', 'Fair', 'Good', 'Excellent'];
+
+const formatBitrate = (bps) => (bps >= 1_000_000 ? `${(bps / 1_000_000).toFixed(1)} Mbps` : `${Math.round(bps / 1000)} kbps`);
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+const formatMs = (seconds) => (typeof seconds === 'number' ? `${Math.round(seconds * 1000)} ms` : '–');
+const formatVideo = (video) => {
+  if (!video || !video.width) return '–';
+  return `${video.width}×${video.height}${video.fps ? ` @ ${Math.round(video.fps)} fps` : ''}${video.codec ? ` (${video.codec})` : ''}`;
+};
+
+// summary: from summarizePeerStats; nothing is drawn until the first sample
+export const SignalBars = ({ summary }) => {
+  if (!summary) return null;
+  const level = signalLevel(summary);
+  const title = `${SIGNAL_LABELS[level]} connection • loss ${formatPercent(summary.loss)} • jitter ${formatMs(summary.jitter)} • RTT ${formatMs(summary.rtt)}`;
+  return (
+    <span className="flex items-end gap-px h-3" title={title}>
+      {Array.from({ length: MAX_SIGNAL_BARS }, (_, i) => (
+        <span key={i} className={`w-1 rounded-sm ${i < level ? BAR_COLORS[level] : 'bg-gray-500'}`} style={{ height: `${(i + 1) * 25}%` }} />
+      ))}
+    </span>
+  );
+};
+
+const Row = ({ label, value }) => (
+  <div className="flex justify-between gap-2">
+    <span className="text-gray-500">{label}</span>
+    <span className="text-gray-800 text-right">{value}</span>
+  </div>
+);
+
+// stats: { peerId: summary }; nameFor(peerId) gives the display name
+export const CallStatsPanel = ({ stats, nameFor, viaServer, onExport, onClose }) => {
+  const peers = Object.entries(stats);
+  return (
+    <div className="bg-white rounded-xl shadow-lg flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-800">Call stats</h3>
+        <div className="flex items-center gap-3">
+          <button onClick={onExport} className="text-sm text-blue-600 hover:text-blue-800" title="Download a JSON stats dump for bug reports">Export</button>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close stats">✕</button>
+        </div>
+      </div>
+      <div className="p-4 space-y-4 text-sm max-h-[60vh] overflow-y-auto">
+        {peers.length === 0 && <div className="text-gray-500">Waiting for the first measurements...</div>}
+        {peers.map(([peerId, summary]) => {
+          const pair = summary.candidatePair;
+          return (
+            <div key={peerId} className="space-y-1">
+              <div className="flex items-center justify-between font-medium text-gray-800">
+                <span>{nameFor(peerId)}</span>
+                <SignalBars summary={summary} />
+              </div>
+              <Row label="Receiving" value={formatBitrate(summary.bitrate)} />
+              <Row label="Video" value={formatVideo(summary.video)} />
+              <Row label="Audio codec" value={summary.audioCodec || '–'} />
+              <Row label="Loss / jitter" value={`${formatPercent(summary.loss)} / ${formatMs(summary.jitter)}`} />
+              <Row label="Round trip" value={formatMs(summary.rtt)} />
+              <Row label={viaServer ? 'Route (via server)' : 'Route'} value={pair ? `${pair.local} → ${pair.remote}${pair.protocol ? ` (${pair.protocol})` : ''}` : '–'} />
+              {summary.sent && <Row label="Sending" value={`${formatBitrate(summary.sent.bitrate)}, ${formatVideo(summary.sent)}`} />}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
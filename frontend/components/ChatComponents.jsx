@@ -0,0 +1,101 @@
+// components/ChatComponents.jsx
+import React, { useState, useEffect, useRef } from 'react';
+
+const URL_PATTERN = /(https?:\/\/[^\s]+)/g;
+
+const formatTime = (ts) => new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Split message text so plain URLs become clickable links
+const renderText = (text) => text.split(URL_PATTERN).map((part, i) => (
+  i % 2 === 1
+    ? <a key={i} href={part} target="_blank" rel="noopener noreferrer" className="underline break-all">{part}</a>
+    : <React.Fragment key={i}>{part}</React.Fragment>
+));
+
+export const ChatToggleButton = ({ isOpen, unreadCount, onToggle }) => (
+  <button
+    onClick={onToggle}
+    className={`relative px-6 py-3 rounded-lg font-medium transition-colors text-white ${
+      isOpen ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'
+    }`}
+  >
+    💬 Chat
+    {unreadCount > 0 && (
+      <span className="absolute -top-2 -right-2 min-w-[1.5rem] h-6 px-1 flex items-center justify-center rounded-full bg-red-600 text-white text-xs font-bold">
+        {unreadCount > 99 ? '99+' : unreadCount}
+      </span>
+    )}
+  </button>
+);
+
+export const ChatPanel = ({ messages, myId, nameFor, onSend, onClose }) => {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages]);
+
+  const handleSend = () => {
+    const text = draft.trim();
+    if (!text) return;
+    if (onSend(text)) setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter sends, Shift+Enter keeps multi-line snippets
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg flex flex-col h-96 lg:h-[32rem]">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-800">Chat</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close chat">✕</button>
+      </div>
+
+      <div ref={listRef} className="flex-1 overflow-y-auto p-4 space-y-3">
+        {messages.length === 0 && (
+          <div className="text-center text-sm text-gray-400 mt-8">No messages yet</div>
+        )}
+        {messages.map(msg => {
+          const mine = msg.from === myId;
+          return (
+            <div key={msg.id} className={`flex flex-col ${mine ? 'items-end' : 'items-start'}`}>
+              <div className="text-xs text-gray-500 mb-1">
+                {mine ? 'You' : nameFor(msg.from)} • {formatTime(msg.ts)}
+              </div>
+              <div className={`max-w-[85%] px-3 py-2 rounded-lg text-sm whitespace-pre-wrap break-words ${
+                mine ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-800'
+              }`}>
+                {renderText(msg.text)}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="p-3 border-t border-gray-200 flex gap-2">
+        <textarea
+          rows={2}
+          value={draft}
+          placeholder="Type a message, link or snippet..."
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="flex-1 resize-none px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black bg-white text-sm"
+        />
+        <button
+          onClick={handleSend}
+          disabled={!draft.trim()}
+          className="px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  );
+};
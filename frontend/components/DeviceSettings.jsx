@@ -0,0 +1,43 @@
+// components/DeviceSettings.jsx
+import React from 'react';
+
+const FIELDS = [
+  { kind: 'videoinput', label: 'Camera', fallback: 'Camera' },
+  { kind: 'audioinput', label: 'Microphone', fallback: 'Microphone' },
+  { kind: 'audiooutput', label: 'Speaker', fallback: 'Speaker' }
+];
+
+// Speaker choice needs HTMLMediaElement.setSinkId (not available in Firefox/Safari by default)
+const sinkSupported = typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+export const DeviceSettingsPanel = ({ devices, selected, onSelect, onClose }) => (
+  <div className="bg-white rounded-xl shadow-lg flex flex-col">
+    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+      <h3 className="font-semibold text-gray-800">Devices</h3>
+      {onClose && <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close devices">✕</button>}
+    </div>
+    <div className="p-4 space-y-4">
+      {FIELDS.map(({ kind, label, fallback }) => {
+        const list = devices[kind] || [];
+        const unsupported = kind === 'audiooutput' && !sinkSupported;
+        return (
+          <label key={kind} className="block text-sm text-gray-700">
+            <span className="block mb-1 font-medium">{label}</span>
+            <select
+              value={selected[kind] || ''}
+              onChange={(e) => onSelect(kind, e.target.value)}
+              disabled={unsupported}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 text-black bg-white disabled:bg-gray-100"
+            >
+              <option value="">System default</option>
+              {list.map((device, i) => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label || `${fallback} ${i + 1}`}</option>
+              ))}
+            </select>
+            {unsupported && <span className="block mt-1 text-xs text-gray-500">This browser can't choose a speaker.</span>}
+          </label>
+        );
+      })}
+    </div>
+  </div>
+);
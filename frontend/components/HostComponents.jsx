@@ -0,0 +1,53 @@
+// components/HostComponents.jsx
+import React from 'react';
+
+// Room-wide controls, only rendered for the host
+export const HostControls = ({ roomLocked, onToggleLock, onMuteAll }) => (
+  <div className="flex flex-wrap justify-center gap-3">
+    <button
+      onClick={onToggleLock}
+      className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors text-white ${
+        roomLocked ? 'bg-yellow-600 hover:bg-yellow-700' : 'bg-gray-600 hover:bg-gray-700'
+      }`}
+    >
+      {roomLocked ? '🔒 Room Locked' : '🔓 Lock Room'}
+    </button>
+    <button
+      onClick={onMuteAll}
+      className="px-4 py-2 rounded-lg text-sm font-medium transition-colors text-white bg-gray-600 hover:bg-gray-700"
+    >
+      🔇 Mute All
+    </button>
+  </div>
+);
+
+// Per-tile actions the host can take on a remote participant
+export const ParticipantHostActions = ({ onRequestMute, onKick }) => (
+  <div className="flex gap-1">
+    <button
+      onClick={onRequestMute}
+      className="px-2 py-1 bg-black bg-opacity-75 text-white text-xs rounded-lg hover:bg-opacity-90"
+      title="Ask to mute"
+    >
+      🔇
+    </button>
+    <button
+      onClick={onKick}
+      className="px-2 py-1 bg-red-600 bg-opacity-90 text-white text-xs rounded-lg hover:bg-red-700"
+      title="Remove from room"
+    >
+      Remove
+    </button>
+  </div>
+);
+
+// The server can't mute anyone; the host's request is shown to the participant to accept
+export const MuteRequestPrompt = ({ onMute, onDismiss }) => (
+  <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+    <span>The host asked you to mute your microphone.</span>
+    <div className="flex gap-2">
+      <button onClick={onMute} className="px-4 py-2 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 transition-colors">Mute</button>
+      <button onClick={onDismiss} className="px-4 py-2 bg-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-300 transition-colors">Ignore</button>
+    </div>
+  </div>
+);
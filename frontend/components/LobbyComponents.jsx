@@ -0,0 +1,56 @@
+// components/LobbyComponents.jsx
+import React from 'react';
+
+// Shown instead of ConnectingScreen while the host decides on our knock
+export const WaitingScreen = ({ roomId, localVideoRef, onCancel }) => (
+  <div className="max-w-md mx-auto text-center">
+    <div className="bg-white rounded-xl shadow-lg p-8">
+      <div className="text-3xl mb-3">🚪</div>
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">Waiting for the host to let you in...</h3>
+      <p className="text-gray-600">Room ID: {roomId}</p>
+      <video
+        ref={localVideoRef}
+        autoPlay
+        playsInline
+        muted
+        className="w-full h-48 bg-black rounded-lg object-cover mt-4"
+        style={{ transform: 'scaleX(-1)' }}
+      />
+      <button
+        onClick={onCancel}
+        className="mt-4 w-full bg-gray-200 text-gray-700 px-6 py-3 rounded-lg hover:bg-gray-300 transition-colors font-medium"
+      >
+        Cancel
+      </button>
+    </div>
+  </div>
+);
+
+// Host-only list of participants knocking on a lobby room
+export const KnockRequests = ({ knocks, onAdmit, onDeny }) => {
+  if (!knocks.length) return null;
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-4 space-y-2">
+      <div className="font-medium text-gray-800">Waiting to join ({knocks.length})</div>
+      {knocks.map(({ peerId, name }) => (
+        <div key={peerId} className="flex items-center justify-between gap-3 bg-gray-50 rounded-lg px-3 py-2">
+          <span className="text-gray-700 text-sm">{name || `User ${peerId}`}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onAdmit(peerId)}
+              className="px-3 py-1 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition-colors"
+            >
+              Admit
+            </button>
+            <button
+              onClick={() => onDeny(peerId)}
+              className="px-3 py-1 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 transition-colors"
+            >
+              Deny
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
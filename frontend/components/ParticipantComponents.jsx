@@ -0,0 +1,61 @@
+// components/ParticipantComponents.jsx
+import React from 'react';
+import { displayNameFor } from '../utils/participants';
+
+const initialsOf = (label) => label
+  .replace(/^User /, '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(word => word[0].toUpperCase())
+  .join('');
+
+// Stand-in for black video when a participant's camera is off
+export const Avatar = ({ label, size = 'lg' }) => (
+  <div className={`rounded-full bg-blue-600 text-white font-semibold flex items-center justify-center ${
+    size === 'lg' ? 'w-20 h-20 text-2xl' : 'w-8 h-8 text-xs'
+  }`}>
+    {initialsOf(label) || '?'}
+  </div>
+);
+
+export const MediaStateIcons = ({ media }) => (
+  <span className="inline-flex gap-1">
+    {!media.audio && <span title="Microphone muted">🔇</span>}
+    {!media.video && <span title="Camera off">🚫📹</span>}
+    {media.screen && <span title="Sharing screen">🖥️</span>}
+  </span>
+);
+
+export const ParticipantList = ({ participants, myId, onClose }) => {
+  const entries = Object.entries(participants);
+  return (
+    <div className="bg-white rounded-xl shadow-lg flex flex-col max-h-96 lg:max-h-[32rem]">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-800">People ({entries.length})</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close participants">✕</button>
+      </div>
+      <ul className="flex-1 overflow-y-auto p-2">
+        {entries.map(([id, participant]) => {
+          const label = displayNameFor(participant, id);
+          return (
+            <li key={id} className="flex items-center gap-3 px-2 py-2 rounded-lg hover:bg-gray-50">
+              <Avatar label={label} size="sm" />
+              <div className="flex-1 min-w-0">
+                <div className="text-sm text-gray-800 truncate">
+                  {label}{id === myId && ' (you)'}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {participant.host && 'Host'}
+                  {participant.host && participant.reconnecting && ' • '}
+                  {participant.reconnecting && 'Reconnecting...'}
+                </div>
+              </div>
+              <MediaStateIcons media={participant.media} />
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,235 @@
+// components/PreJoinScreen.jsx
+import React, { useState, useEffect } from 'react';
+import { generateRoomId, copyToClipboard } from '../utils/webrtcConfig';
+import { playTestSound } from '../utils/mediaDevices';
+import { DeviceSettingsPanel } from './DeviceSettings';
+import { BackgroundPicker } from './BackgroundComponents';
+import { Avatar } from './ParticipantComponents';
+import { InviteDetails, ScheduleMeeting } from './ScheduleComponents';
+import { uploadLogs } from '../utils/logger';
+
+const METER_BARS = 12;
+
+// Live microphone level; polls streamRef so a device switch is picked up
+const MicLevelMeter = ({ streamRef, muted }) => {
+  const [level, setLevel] = useState(0);
+
+  useEffect(() => {
+    const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextCtor) return undefined;
+    const ctx = new AudioContextCtor();
+    ctx.resume().catch(() => { /* resumes on next user gesture */ });
+    const data = new Float32Array(512);
+    let stream = null;
+    let source = null;
+    let analyser = null;
+    let frame;
+
+    const loop = () => {
+      if (streamRef.current !== stream) {
+        if (source) source.disconnect();
+        source = null;
+        stream = streamRef.current;
+        if (stream && stream.getAudioTracks().length) {
+          source = ctx.createMediaStreamSource(stream);
+          analyser = ctx.createAnalyser();
+          analyser.fftSize = data.length;
+          source.connect(analyser);
+        }
+      }
+      let rms = 0;
+      if (source) {
+        analyser.getFloatTimeDomainData(data);
+        rms = Math.sqrt(data.reduce((sum, v) => sum + v * v, 0) / data.length);
+      }
+      // speech sits around 0.02-0.2 RMS; fall back slowly so the meter is readable
+      setLevel(prev => {
+        const next = Math.max(Math.min(1, rms * 5), prev * 0.9);
+        return Math.abs(next - prev) < 0.01 ? prev : next;
+      });
+      frame = requestAnimationFrame(loop);
+    };
+    frame = requestAnimationFrame(loop);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      if (source) source.disconnect();
+      ctx.close().catch(() => { /* already closed */ });
+    };
+  }, [streamRef]);
+
+  const lit = muted ? 0 : Math.round(level * METER_BARS);
+  return (
+    <div className="flex items-end gap-1 h-6" title={muted ? 'Microphone off' : 'Microphone level'}>
+      {Array.from({ length: METER_BARS }, (_, i) => (
+        <div
+          key={i}
+          className={`w-2 rounded-sm ${i < lit ? (i < METER_BARS * 0.75 ? 'bg-green-500' : 'bg-yellow-500') : 'bg-gray-200'}`}
+          style={{ height: `${30 + (i / METER_BARS) * 70}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+// Sends this tab's recent logs (utils/logger) to the server and shows the id to quote when reporting it
+const SendLogsButton = ({ reason, room }) => {
+  const [upload, setUpload] = useState({ state: 'idle' }); // idle | sending | sent { id } | failed { error }
+
+  const send = async () => {
+    setUpload({ state: 'sending' });
+    try {
+      setUpload({ state: 'sent', id: await uploadLogs({ reason, context: { room } }) });
+    } catch (err) {
+      setUpload({ state: 'failed', error: err.message || String(err) });
+    }
+  };
+
+  if (upload.state === 'sent') return <div className="mt-1 text-xs text-gray-600">Logs sent. Reference: {upload.id}</div>;
+  return (
+    <div className="mt-1 text-xs">
+      <button onClick={send} disabled={upload.state === 'sending'} className="underline disabled:opacity-50">
+        {upload.state === 'sending' ? 'Sending logs...' : 'Send logs to support'}
+      </button>
+      {upload.state === 'failed' && <span className="ml-2">Could not send logs ({upload.error})</span>}
+    </div>
+  );
+};
+
+// Shown before joining: camera preview, mic meter, speaker test, devices and the room form.
+// joinMedia is whether the call starts with the mic / camera on; background holds the
+// BackgroundPicker props; e2ee is { supported, enabled, setEnabled, passphrase, setPassphrase }.
+// invite: the stored room when we came in through its invite link (its settings apply, so the
+// room-creation options are hidden).
+export const PreJoinScreen = ({
+  localVideoRef, localStreamRef, isVideoOn, cameraError, onRetryPreview,
+  joinMedia, onToggleJoinMedia, devices, selectedDevices, onSelectDevice, audioOutputId,
+  roomId, setRoomId, joinRoom, isConnected, callStage, displayName, setDisplayName,
+  password, setPassword, lobbyEnabled, setLobbyEnabled, sfuMode, setSfuMode, roomError, background, e2ee, invite
+}) => {
+  const [speakerError, setSpeakerError] = useState(null);
+  const handleGenerateRoomId = () => setRoomId(generateRoomId());
+  const handleCopyRoomId = () => { if (roomId) copyToClipboard(roomId); };
+  const handleTestSpeaker = async () => {
+    setSpeakerError(null);
+    try { await playTestSound(audioOutputId); } catch (err) { setSpeakerError(err.message || 'Could not play the test sound'); }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="space-y-4">
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-semibold mb-4 text-gray-800">Ready to join?</h3>
+          {cameraError && (
+            <div className="bg-red-50 border border-red-200 text-red-700 p-4 rounded-lg mb-4">
+              <strong>Error:</strong> {cameraError}
+              <button onClick={onRetryPreview} className="ml-2 underline">Try again</button>
+            </div>
+          )}
+          <div className="relative">
+            <video ref={localVideoRef} autoPlay playsInline muted className="w-full h-64 bg-black rounded-lg object-cover" style={{ transform: 'scaleX(-1)' }} />
+            {!isVideoOn && (
+              <div className="absolute inset-0 flex items-center justify-center bg-gray-800 text-white rounded-lg">
+                <Avatar label={displayName.trim() || '?'} />
+              </div>
+            )}
+          </div>
+          <div className="mt-4 flex flex-wrap items-center gap-3">
+            <button
+              onClick={() => onToggleJoinMedia('audio')}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors text-white ${joinMedia.audio ? 'bg-gray-600 hover:bg-gray-700' : 'bg-red-600 hover:bg-red-700'}`}
+            >
+              🎤 {joinMedia.audio ? 'Mic On' : 'Mic Off'}
+            </button>
+            <button
+              onClick={() => onToggleJoinMedia('video')}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors text-white ${joinMedia.video ? 'bg-gray-600 hover:bg-gray-700' : 'bg-red-600 hover:bg-red-700'}`}
+            >
+              📹 {joinMedia.video ? 'Camera On' : 'Camera Off'}
+            </button>
+            <MicLevelMeter streamRef={localStreamRef} muted={!joinMedia.audio} />
+            <button onClick={handleTestSpeaker} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors">🔊 Test speaker</button>
+          </div>
+          {speakerError && <div className="mt-2 text-sm text-red-700">{speakerError}</div>}
+        </div>
+        <DeviceSettingsPanel devices={devices} selected={selectedDevices} onSelect={onSelectDevice} />
+        <BackgroundPicker {...background} />
+      </div>
+
+      <div className="space-y-4 self-start">
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-semibold mb-4 text-gray-800">{invite ? "You're invited" : 'Join or Create Room'}</h3>
+          {invite && <InviteDetails room={invite} />}
+          <input
+            type="text"
+            placeholder="Your name"
+            value={displayName}
+            maxLength={40}
+            onChange={(e) => setDisplayName(e.target.value)}
+            className="w-full mb-3 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black bg-white"
+          />
+          <div className="flex gap-3 mb-4">
+            <input
+              type="text"
+              placeholder="Enter Room ID"
+              value={roomId}
+              onChange={(e) => setRoomId(e.target.value.toUpperCase())}
+              className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black bg-white"
+              onKeyPress={(e) => e.key === 'Enter' && joinRoom()}
+            />
+            <button onClick={handleGenerateRoomId} className="px-4 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors" title="Generate Random Room ID">🎲</button>
+            {roomId && <button onClick={handleCopyRoomId} className="px-4 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors" title="Copy Room ID">📋</button>}
+          </div>
+          <input
+            type="password"
+            placeholder="Room password (optional)"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full mb-3 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black bg-white"
+            onKeyPress={(e) => e.key === 'Enter' && joinRoom()}
+          />
+          {!invite && (
+            <>
+              <label className="flex items-center gap-2 mb-2 text-sm text-gray-700">
+                <input type="checkbox" checked={lobbyEnabled} onChange={(e) => setLobbyEnabled(e.target.checked)} />
+                Lobby: I admit people who join (applies when creating a new room)
+              </label>
+              <label className="flex items-center gap-2 mb-2 text-sm text-gray-700">
+                <input type="checkbox" checked={sfuMode} disabled={e2ee.enabled} onChange={(e) => setSfuMode(e.target.checked)} />
+                Large room: the server forwards video, for 5+ people (applies when creating a new room)
+              </label>
+            </>
+          )}
+          <label className={`flex items-center gap-2 mb-4 text-sm ${e2ee.supported ? 'text-gray-700' : 'text-gray-400'}`}>
+            <input type="checkbox" checked={e2ee.enabled} disabled={!e2ee.supported || sfuMode} onChange={(e) => e2ee.setEnabled(e.target.checked)} />
+            🔒 End-to-end encryption with a shared passphrase{!e2ee.supported && ' (not supported by this browser)'}
+          </label>
+          {e2ee.enabled && (
+            <input
+              type="password"
+              placeholder="Encryption passphrase (everyone in the call uses the same one)"
+              value={e2ee.passphrase}
+              onChange={(e) => e2ee.setPassphrase(e.target.value)}
+              className="w-full mb-4 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black bg-white"
+              onKeyPress={(e) => e.key === 'Enter' && joinRoom()}
+            />
+          )}
+          {roomError && (
+            <div className="bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg mb-4 text-sm">
+              {roomError}
+              <SendLogsButton key={roomError} reason={roomError} room={roomId.trim().toUpperCase()} />
+            </div>
+          )}
+          <button
+            onClick={joinRoom}
+            disabled={!roomId.trim() || !isConnected || callStage !== 'idle'}
+            className="w-full bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
+          >
+            {isConnected ? (callStage === 'idle' ? (invite ? 'Join now' : 'Join Room') : (callStage === 'connecting' ? 'Connecting...' : 'In Call')) : 'Connecting to server...'}
+          </button>
+        </div>
+        {!invite && <ScheduleMeeting onUse={setRoomId} />}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,25 @@
+// components/RecordingComponents.jsx
+import React from 'react';
+
+export const RecordButton = ({ isRecording, onToggle }) => (
+  <button
+    onClick={onToggle}
+    className={`px-6 py-3 rounded-lg font-medium transition-colors text-white ${
+      isRecording ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-600 hover:bg-gray-700'
+    }`}
+  >
+    {isRecording ? '⏹ Stop Recording' : '⏺ Record'}
+  </button>
+);
+
+// Shown to everyone while anyone in the room is recording
+export const RecordingIndicator = ({ recorders, myId, nameFor }) => {
+  if (!recorders.length) return null;
+  const names = recorders.map(id => (id === myId ? 'You' : nameFor(id)));
+  return (
+    <div className="flex items-center justify-center gap-2 bg-red-50 border border-red-200 text-red-700 rounded-xl px-4 py-2 text-sm font-medium">
+      <span className="w-3 h-3 rounded-full bg-red-600 animate-pulse" />
+      Recording: {names.join(', ')}
+    </div>
+  );
+};
@@ -0,0 +1,122 @@
+// components/ScheduleComponents.jsx
+import React, { useState, useEffect } from 'react';
+import { createRoom, fetchRoomLimits, inviteUrlFor } from '../utils/roomsApi';
+import { copyToClipboard } from '../utils/webrtcConfig';
+
+const DURATIONS = [15, 30, 45, 60, 90, 120];
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black bg-white';
+
+const formatSchedule = (room) => {
+  if (!room.scheduledFor) return null;
+  const start = new Date(room.scheduledFor);
+  const when = start.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  return `${start > new Date() ? 'Starts' : 'Started'} ${when}${room.durationMinutes ? ` • ${room.durationMinutes} min` : ''}`;
+};
+
+// room: the stored room an invite link points at (utils/roomsApi fetchRoom)
+export const InviteDetails = ({ room }) => (
+  <div className="bg-blue-50 border border-blue-200 text-blue-900 p-3 rounded-lg mb-4 text-sm space-y-1">
+    <div className="font-semibold">📅 {room.name}</div>
+    {formatSchedule(room) && <div>{formatSchedule(room)}</div>}
+    {room.live > 0 && <div>{room.live} {room.live === 1 ? 'person is' : 'people are'} in the call</div>}
+    {room.passwordRequired && <div>This meeting needs a password.</div>}
+  </div>
+);
+
+const CopyLink = ({ url }) => {
+  const [copied, setCopied] = useState(false);
+  const handleCopy = async () => { if (await copyToClipboard(url)) setCopied(true); };
+  return (
+    <div className="flex gap-2">
+      <input readOnly value={url} className={`${inputClass} bg-gray-50`} onFocus={(e) => e.target.select()} />
+      <button onClick={handleCopy} className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors whitespace-nowrap">{copied ? 'Copied' : '📋 Copy'}</button>
+    </div>
+  );
+};
+
+// Creates a room ahead of time and shows its invite link. onUse(roomId) fills the join form.
+export const ScheduleMeeting = ({ onUse }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState({ name: '', scheduledFor: '', durationMinutes: 30, password: '', maxParticipants: '', lobby: false, sfu: false });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [created, setCreated] = useState(null); // { room, manageToken }
+  const [limits, setLimits] = useState(null); // the server's, so the form can't ask for more
+
+  useEffect(() => {
+    if (!open || limits) return;
+    let cancelled = false;
+    fetchRoomLimits().then(loaded => { if (!cancelled) setLimits(loaded); });
+    return () => { cancelled = true; };
+  }, [open, limits]);
+
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      setCreated(await createRoom({
+        name: form.name.trim(),
+        scheduledFor: form.scheduledFor ? new Date(form.scheduledFor).toISOString() : null,
+        durationMinutes: form.scheduledFor ? Number(form.durationMinutes) : null,
+        password: form.password || null,
+        maxParticipants: form.maxParticipants ? Number(form.maxParticipants) : null,
+        lobby: form.lobby,
+        mode: form.sfu ? 'sfu' : 'mesh'
+      }));
+    } catch (err) {
+      setError(err.message || 'Could not create the meeting');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) {
+    return <button onClick={() => setOpen(true)} className="w-full px-4 py-3 bg-white rounded-xl shadow-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium">📅 Schedule a meeting</button>;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-800">Schedule a meeting</h3>
+        <button onClick={() => { setOpen(false); setCreated(null); }} className="text-gray-500 hover:text-gray-700" title="Close">✕</button>
+      </div>
+      {created ? (
+        <div className="p-4 space-y-3 text-sm text-gray-700">
+          <div><span className="font-medium">{created.room.name}</span> is ready. Share this link:</div>
+          <CopyLink url={inviteUrlFor(created.room.id)} />
+          <div className="text-xs text-gray-500">
+            Keep this token to change or cancel the meeting later (it is not shown again): <code className="break-all">{created.manageToken}</code>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => onUse(created.room.id)} className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors">Use this room</button>
+            <button onClick={() => setCreated(null)} className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors">Schedule another</button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="p-4 space-y-3 text-sm text-gray-700">
+          <input required maxLength={40} placeholder="Meeting name" value={form.name} onChange={set('name')} className={inputClass} />
+          <div className="flex gap-2">
+            <input type="datetime-local" value={form.scheduledFor} onChange={set('scheduledFor')} className={inputClass} title="Start time (optional)" />
+            <select value={form.durationMinutes} onChange={set('durationMinutes')} disabled={!form.scheduledFor} className={`${inputClass} w-32`}>
+              {DURATIONS.map(m => <option key={m} value={m}>{m} min</option>)}
+            </select>
+          </div>
+          <div className="flex gap-2">
+            <input type="password" placeholder="Password (optional)" value={form.password} onChange={set('password')} className={inputClass} />
+            <input type="number" min={2} max={limits ? limits.maxParticipants[form.sfu ? 'sfu' : 'mesh'] : undefined} placeholder="Max people" value={form.maxParticipants} onChange={set('maxParticipants')} className={`${inputClass} w-32`} />
+          </div>
+          {form.scheduledFor && <div className="text-xs text-gray-500">People can join from 15 minutes before the start until the end.</div>}
+          <label className="flex items-center gap-2"><input type="checkbox" checked={form.lobby} onChange={set('lobby')} /> Lobby: the host admits people</label>
+          <label className="flex items-center gap-2"><input type="checkbox" checked={form.sfu} onChange={set('sfu')} /> Large room: the server forwards video</label>
+          {error && <div className="text-red-700">{error}</div>}
+          <button type="submit" disabled={busy || !form.name.trim()} className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors font-medium">
+            {busy ? 'Creating...' : 'Create meeting'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
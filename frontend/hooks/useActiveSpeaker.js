@@ -0,0 +1,127 @@
+// hooks/useActiveSpeaker.js
+import { useState, useEffect } from 'react';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('speaker');
+
+// key used for our own stream alongside remote peer ids
+export const LOCAL_SPEAKER_ID = 'local';
+
+const POLL_INTERVAL_MS = 100;
+// hysteresis on the (decaying) RMS level so the ring doesn't flicker between words
+const SPEAKING_ON_LEVEL = 0.03;
+const SPEAKING_OFF_LEVEL = 0.015;
+const SPEAKING_HOLD_MS = 400;
+// someone must out-talk the current dominant speaker this long before the layout switches
+const DOMINANT_SWITCH_MS = 1500;
+const LEVEL_DECAY = 0.85;
+
+const sameKeys = (a, b) => {
+  const ka = Object.keys(a);
+  return ka.length === Object.keys(b).length && ka.every(k => b[k]);
+};
+
+// Analyses audio levels of the local stream and every stream in remoteStreamsRef with
+// Web Audio AnalyserNodes. Returns who is speaking and the dominant remote speaker.
+export const useActiveSpeaker = ({ enabled, localStreamRef, remoteStreamsRef }) => {
+  const [speaking, setSpeaking] = useState({}); // id -> true
+  const [dominantSpeaker, setDominantSpeaker] = useState(null);
+
+  useEffect(() => {
+    const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+    if (!enabled || !AudioContextCtor) return undefined;
+
+    const ctx = new AudioContextCtor();
+    ctx.resume().catch(() => { /* resumes on next user gesture */ });
+    const meters = new Map(); // id -> { stream, source, analyser, data, level, speaking, lastLoudAt }
+    let currentSpeaking = {};
+    let dominant = null;
+    let candidate = null;
+    let candidateSince = 0;
+
+    const removeMeter = (id) => {
+      const meter = meters.get(id);
+      if (!meter) return;
+      try { meter.source.disconnect(); } catch { /* already disconnected */ }
+      meters.delete(id);
+    };
+
+    // follow streams as peers come and go (or a stream is replaced)
+    const syncMeters = () => {
+      const streams = { ...remoteStreamsRef.current };
+      if (localStreamRef.current) streams[LOCAL_SPEAKER_ID] = localStreamRef.current;
+
+      for (const id of meters.keys()) {
+        if (streams[id] !== meters.get(id).stream) removeMeter(id);
+      }
+      Object.entries(streams).forEach(([id, stream]) => {
+        if (meters.has(id) || !stream || stream.getAudioTracks().length === 0) return;
+        try {
+          const source = ctx.createMediaStreamSource(stream);
+          const analyser = ctx.createAnalyser();
+          analyser.fftSize = 512;
+          source.connect(analyser);
+          meters.set(id, { stream, source, analyser, data: new Float32Array(analyser.fftSize), level: 0, speaking: false, lastLoudAt: 0 });
+        } catch (err) {
+          log.warn('could not analyse audio', { peer: id, err });
+        }
+      });
+    };
+
+    const tick = () => {
+      syncMeters();
+      const now = performance.now();
+      const nextSpeaking = {};
+      let loudestId = null;
+      let loudestLevel = 0;
+
+      meters.forEach((meter, id) => {
+        meter.analyser.getFloatTimeDomainData(meter.data);
+        let sum = 0;
+        for (let i = 0; i < meter.data.length; i++) sum += meter.data[i] * meter.data[i];
+        const rms = Math.sqrt(sum / meter.data.length);
+        meter.level = Math.max(rms, meter.level * LEVEL_DECAY);
+
+        if (meter.level > SPEAKING_ON_LEVEL) { meter.speaking = true; meter.lastLoudAt = now; }
+        else if (meter.level > SPEAKING_OFF_LEVEL) { if (meter.speaking) meter.lastLoudAt = now; }
+        else if (meter.speaking && now - meter.lastLoudAt > SPEAKING_HOLD_MS) meter.speaking = false;
+
+        if (meter.speaking) nextSpeaking[id] = true;
+        if (meter.speaking && id !== LOCAL_SPEAKER_ID && meter.level > loudestLevel) {
+          loudestId = id;
+          loudestLevel = meter.level;
+        }
+      });
+
+      if (!sameKeys(nextSpeaking, currentSpeaking)) {
+        currentSpeaking = nextSpeaking;
+        setSpeaking(nextSpeaking);
+      }
+
+      // dominant speaker only changes after a sustained lead (or when the old one left)
+      if (dominant && !meters.has(dominant)) dominant = null;
+      if (!loudestId || loudestId === dominant) {
+        candidate = null;
+      } else if (loudestId !== candidate) {
+        candidate = loudestId;
+        candidateSince = now;
+      }
+      if (candidate && (!dominant || now - candidateSince >= DOMINANT_SWITCH_MS)) {
+        dominant = candidate;
+        candidate = null;
+      }
+      setDominantSpeaker(prev => (prev === dominant ? prev : dominant));
+    };
+
+    const interval = setInterval(tick, POLL_INTERVAL_MS);
+    return () => {
+      clearInterval(interval);
+      Array.from(meters.keys()).forEach(removeMeter);
+      ctx.close().catch(() => { /* already closed */ });
+      setSpeaking({});
+      setDominantSpeaker(null);
+    };
+  }, [enabled, localStreamRef, remoteStreamsRef]);
+
+  return { speaking, dominantSpeaker };
+};
@@ -0,0 +1,103 @@
+// hooks/useCallRecorder.js
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { drawFrame } from '../utils/recordingCompositor';
+import { downloadBlob } from '../utils/download';
+import { createTicker } from '../utils/ticker';
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FPS = 30;
+const CHUNK_MS = 1000;
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// Records the call: getTiles() is read every frame and returns the current layout as
+// [{ id, label, videoStream, audioStream, videoOff, contain, promoted }].
+// Video is composited on a canvas, every audioStream is mixed with Web Audio, and the
+// WebM chunks are downloaded as one file when recording stops.
+export const useCallRecorder = ({ getTiles, fileName }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const sessionRef = useRef(null);
+
+  const stopRecording = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+    session.stopTicker();
+    if (session.recorder.state !== 'inactive') session.recorder.stop();
+    setIsRecording(false);
+  }, []);
+
+  const startRecording = useCallback(() => {
+    if (sessionRef.current) return false;
+    const mimeType = MIME_TYPES.find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+    if (!mimeType) { alert('Recording is not supported in this browser.'); return false; }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext('2d');
+    const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    const mix = audioCtx.createMediaStreamDestination();
+    const videos = new Map(); // tile id -> { stream, el }
+    const audioSources = new Map(); // stream -> MediaStreamAudioSourceNode
+
+    // hidden <video> per stream to draw from, created and dropped as peers come and go
+    const videoFor = (id, stream) => {
+      let entry = videos.get(id);
+      if (entry && entry.stream !== stream) { entry.el.srcObject = null; entry = null; }
+      if (!entry) {
+        const el = document.createElement('video');
+        el.muted = true;
+        el.playsInline = true;
+        el.srcObject = stream;
+        el.play().catch(() => { /* muted, so autoplay is allowed; drawn as a placeholder until it plays */ });
+        entry = { stream, el };
+        videos.set(id, entry);
+      }
+      return entry.el;
+    };
+
+    const syncAudio = (streams) => {
+      audioSources.forEach((node, stream) => {
+        if (!streams.includes(stream)) { node.disconnect(); audioSources.delete(stream); }
+      });
+      streams.forEach(stream => {
+        if (audioSources.has(stream) || stream.getAudioTracks().length === 0) return;
+        const node = audioCtx.createMediaStreamSource(stream);
+        node.connect(mix);
+        audioSources.set(stream, node);
+      });
+    };
+
+    const tick = () => {
+      const descriptors = getTiles();
+      const ids = new Set(descriptors.map(t => t.id));
+      videos.forEach((entry, id) => { if (!ids.has(id)) { entry.el.srcObject = null; videos.delete(id); } });
+      drawFrame(ctx, descriptors.map(t => ({ ...t, video: t.videoStream ? videoFor(t.id, t.videoStream) : null })));
+      syncAudio(descriptors.map(t => t.audioStream).filter(Boolean));
+    };
+    tick();
+
+    const stream = new MediaStream([...canvas.captureStream(FPS).getVideoTracks(), ...mix.stream.getAudioTracks()]);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (event) => { if (event.data && event.data.size > 0) chunks.push(event.data); };
+    recorder.onstop = () => {
+      stream.getTracks().forEach(t => t.stop());
+      videos.forEach(entry => { entry.el.srcObject = null; });
+      audioSources.forEach(node => node.disconnect());
+      audioCtx.close().catch(() => { /* already closed */ });
+      if (chunks.length) downloadBlob(new Blob(chunks, { type: 'video/webm' }), fileName());
+    };
+    recorder.start(CHUNK_MS);
+
+    sessionRef.current = { recorder, stopTicker: createTicker(tick, FPS) };
+    setIsRecording(true);
+    return true;
+  }, [getTiles, fileName]);
+
+  // unmounting mid-recording still finalizes the file
+  useEffect(() => stopRecording, [stopRecording]);
+
+  return { isRecording, startRecording, stopRecording };
+};
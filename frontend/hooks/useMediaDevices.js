@@ -0,0 +1,46 @@
+// hooks/useMediaDevices.js
+import { useState, useEffect, useCallback } from 'react';
+import { groupDevices } from '../utils/mediaDevices';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('devices');
+
+const STORAGE_KEY = 'veo-chat.devices';
+const NO_SELECTION = { videoinput: '', audioinput: '', audiooutput: '' };
+
+const loadSelection = () => {
+  try { return { ...NO_SELECTION, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') }; }
+  catch { return { ...NO_SELECTION }; }
+};
+
+// Lists cameras, microphones and speakers and remembers the chosen ones ('' = browser default).
+// Labels are only filled in once permission is granted, so call refresh() after getUserMedia.
+export const useMediaDevices = () => {
+  const [devices, setDevices] = useState(() => groupDevices([]));
+  const [selected, setSelected] = useState(loadSelection);
+
+  const refresh = useCallback(async () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+    try {
+      setDevices(groupDevices(await navigator.mediaDevices.enumerateDevices()));
+    } catch (err) {
+      log.warn('enumerateDevices failed', err);
+    }
+  }, []);
+
+  // headsets and docks plugged in or removed
+  useEffect(() => {
+    refresh();
+    if (!navigator.mediaDevices) return undefined;
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [refresh]);
+
+  useEffect(() => { localStorage.setItem(STORAGE_KEY, JSON.stringify(selected)); }, [selected]);
+
+  const selectDevice = useCallback((kind, deviceId) => {
+    setSelected(prev => (prev[kind] === deviceId ? prev : { ...prev, [kind]: deviceId }));
+  }, []);
+
+  return { devices, selected, selectDevice, refresh };
+};
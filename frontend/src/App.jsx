@@ -1,26 +1,70 @@
 // frontend/src/App.jsx
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ChatPanel, ChatToggleButton } from '../components/ChatComponents';
+import { WaitingScreen, KnockRequests } from '../components/LobbyComponents';
+import { HostControls, ParticipantHostActions, MuteRequestPrompt } from '../components/HostComponents';
+import { ParticipantList, Avatar, MediaStateIcons } from '../components/ParticipantComponents';
+import { displayNameFor } from '../utils/participants';
+import { useActiveSpeaker, LOCAL_SPEAKER_ID } from '../hooks/useActiveSpeaker';
+import { useCallRecorder } from '../hooks/useCallRecorder';
+import { RecordButton, RecordingIndicator } from '../components/RecordingComponents';
+import { useMediaDevices } from '../hooks/useMediaDevices';
+import { DeviceSettingsPanel } from '../components/DeviceSettings';
+import { PreJoinScreen } from '../components/PreJoinScreen';
+import { openUserMedia, acquireDeviceTrack, swapStreamTrack, replaceTrackOnPeers } from '../utils/mediaDevices';
+import { createRTCConfiguration, fetchIceServers, copyToClipboard } from '../utils/webrtcConfig';
+import { createPerfectNegotiation, isPolitePeer } from '../utils/perfectNegotiation';
+import { createSfuConnection } from '../utils/sfuConnection';
+import { createQualityController, applySenderQuality, videoSenderOf } from '../utils/qualityController';
+import { summarizePeerStats, buildStatsDump } from '../utils/callStats';
+import { downloadBlob } from '../utils/download';
+import { SignalBars, CallStatsPanel } from '../components/CallStatsComponents';
+import { createBackgroundProcessor, NO_BACKGROUND_EFFECT } from '../utils/backgroundEffects';
+import { BackgroundPicker } from '../components/BackgroundComponents';
+import { createE2ee, isE2eeSupported } from '../utils/e2ee';
+import { roomIdFromInvitePath, inviteUrlFor, fetchRoom } from '../utils/roomsApi';
+import { getSignalingToken, authFailureStatus } from '../utils/auth';
+import { createLogger, createTraceId } from '../utils/logger';
+
+// localStorage key the display name is kept under between visits
+const DISPLAY_NAME_KEY = 'veo-chat.displayName';
 
 /* ============================
    useWebSocket hook (stable)
    - keeps onMessage in a ref so we don't recreate connect function
+   - getToken() is asked on every connect; its token goes on the socket url
+   - every message carries the protocol version (v) the server validates it against
    ============================ */
-const useWebSocket = (onMessage) => {
+const SIGNALING_PROTOCOL_VERSION = 1;
+const wsLog = createLogger('signaling');
+const log = createLogger('call');
+
+const useWebSocket = (onMessage, getToken) => {
   const wsRef = useRef(null);
   const myIdRef = useRef(null);
+  const sessionRef = useRef(null); // { clientId, resumeToken } - survives reconnects
   const onMessageRef = useRef(onMessage);
+  const getTokenRef = useRef(getToken);
   const [isConnected, setIsConnected] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('Disconnected');
 
   useEffect(() => { onMessageRef.current = onMessage; }, [onMessage]);
+  useEffect(() => { getTokenRef.current = getToken; }, [getToken]);
 
-  const connectWebSocket = useCallback(() => {
-    console.log('Connecting to WebSocket server...');
+  const connectWebSocket = useCallback(async () => {
     setConnectionStatus('Connecting...');
 
+    let token = null;
+    try {
+      token = getTokenRef.current ? await getTokenRef.current() : null;
+    } catch (err) {
+      // the server says whether it needed one
+      wsLog.warn('could not get a signaling token', { err });
+    }
+
     // use same-origin /ws so Vite proxy (or server) can map to backend
     const wsUrl = `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`;
-    console.log('Connecting to (proxied):', wsUrl);
+    wsLog.info('connecting', { url: wsUrl, withToken: !!token });
 
     // close previous if any
     if (wsRef.current) {
@@ -28,18 +72,26 @@ const useWebSocket = (onMessage) => {
       wsRef.current = null;
     }
 
-    const ws = new WebSocket(wsUrl);
+    const ws = new WebSocket(token ? `${wsUrl}?token=${encodeURIComponent(token)}` : wsUrl);
     wsRef.current = ws;
 
     let reconnectAttempts = 0;
     const maxReconnectAttempts = 5;
     let connectionTimeout = null;
+    let freshSession = null; // id issued to this socket while a resume is pending
+
+    const adoptSession = (session) => {
+      sessionRef.current = session;
+      myIdRef.current = session.clientId;
+      setIsConnected(true);
+      setConnectionStatus('Connected');
+    };
 
     const safeSetDisconnected = (reason) => {
       setIsConnected(false);
       setConnectionStatus('Disconnected');
       myIdRef.current = null;
-      console.log('WS disconnected:', reason);
+      wsLog.info('disconnected', reason);
     };
 
     ws.onopen = () => {
@@ -47,39 +99,59 @@ const useWebSocket = (onMessage) => {
       reconnectAttempts = 0;
       setIsConnected(true);
       setConnectionStatus('Connected');
-      console.log('WebSocket open');
+      wsLog.info('connected');
     };
 
     ws.onmessage = (event) => {
-      // verbose frame logging (helpful while debugging)
-      console.log('WS frame raw:', event.data);
       try {
         const message = JSON.parse(event.data);
+        wsLog.debug('received', { type: message.type, from: message.from, trace: message.trace });
         if (message.type === 'client-id') {
-          myIdRef.current = message.clientId;
-          setIsConnected(true);
-          setConnectionStatus('Connected');
-          console.log('Received client ID:', message.clientId);
+          const previous = sessionRef.current;
+          if (previous && previous.resumeToken && previous.clientId !== message.clientId) {
+            // reconnect: ask for our old id (and room slot) back before using the new one
+            freshSession = { clientId: message.clientId, resumeToken: message.resumeToken };
+            setConnectionStatus('Resuming session...');
+            wsLog.info('resuming session', { clientId: previous.clientId });
+            ws.send(JSON.stringify({ v: SIGNALING_PROTOCOL_VERSION, type: 'resume', clientId: previous.clientId, resumeToken: previous.resumeToken }));
+            return;
+          }
+          adoptSession({ clientId: message.clientId, resumeToken: message.resumeToken });
+          wsLog.info('session started', { clientId: message.clientId });
+        }
+        if (message.type === 'resumed') {
+          adoptSession({ clientId: message.clientId, resumeToken: message.resumeToken });
+          wsLog.info('session resumed', { clientId: message.clientId, room: message.room });
+        }
+        if (message.type === 'resume-failed') {
+          if (freshSession) adoptSession(freshSession);
+          wsLog.info('session resume failed', { clientId: myIdRef.current });
         }
         if (onMessageRef.current) onMessageRef.current(message);
       } catch (err) {
-        console.error('Invalid WS message:', err, event.data);
+        wsLog.error('invalid message', { err, data: String(event.data).slice(0, 200) });
       }
     };
 
     ws.onerror = (err) => {
-      console.error('WebSocket error:', err);
+      wsLog.error('socket error', { type: err.type });
       setConnectionStatus('Connection error');
     };
 
     ws.onclose = (event) => {
-      safeSetDisconnected(`code=${event.code} reason=${event.reason} wasClean=${event.wasClean}`);
+      safeSetDisconnected({ code: event.code, reason: event.reason, wasClean: event.wasClean });
+      // refused by the server: retrying with the same token won't help, Retry Connection asks for a new one
+      const authFailure = authFailureStatus(event);
+      if (authFailure) {
+        setConnectionStatus(authFailure);
+        return;
+      }
       // reconnect logic (backoff)
       if (!event.wasClean && reconnectAttempts < maxReconnectAttempts) {
         reconnectAttempts++;
         const delay = Math.min(2000 * Math.pow(2, reconnectAttempts - 1), 10000);
         setConnectionStatus(`Reconnecting... (${reconnectAttempts}/${maxReconnectAttempts})`);
-        console.log(`Reconnecting in ${delay}ms`);
+        wsLog.info('reconnecting', { delay, attempt: reconnectAttempts });
         setTimeout(() => {
           if (!wsRef.current || wsRef.current === ws) {
             connectWebSocket();
@@ -93,7 +165,7 @@ const useWebSocket = (onMessage) => {
     // connection timeout (10s)
     connectionTimeout = setTimeout(() => {
       if (ws.readyState === WebSocket.CONNECTING) {
-        console.warn('WebSocket connection timed out');
+        wsLog.warn('connection timed out');
         try { ws.close(); } catch (e) {}
         setConnectionStatus('Connection timeout');
       }
@@ -116,10 +188,10 @@ const useWebSocket = (onMessage) => {
   const sendMessage = useCallback((message) => {
     const ws = wsRef.current;
     if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(message));
+      ws.send(JSON.stringify({ v: SIGNALING_PROTOCOL_VERSION, ...message }));
       return true;
     } else {
-      console.warn('WS not open. Message not sent:', message);
+      wsLog.warn('not connected, message not sent', { type: message.type });
       return false;
     }
   }, []);
@@ -128,7 +200,7 @@ const useWebSocket = (onMessage) => {
     const ws = wsRef.current;
     if (ws && ws.readyState === WebSocket.OPEN) {
       if (roomId && myIdRef.current) {
-        ws.send(JSON.stringify({ type: 'leave-room', room: roomId, from: myIdRef.current }));
+        ws.send(JSON.stringify({ v: SIGNALING_PROTOCOL_VERSION, type: 'leave-room', room: roomId, from: myIdRef.current }));
       }
       try { ws.close(1000, 'User disconnected'); } catch (e) {}
     }
@@ -149,21 +221,6 @@ const useWebSocket = (onMessage) => {
    WebRTC utils & UI components (Tailwind kept)
    ============== */
 
-const createRTCConfiguration = () => ({
-  iceServers: [
-    { urls: 'stun:stun.l.google.com:19302' },
-    { urls: 'stun:stun1.l.google.com:19302' },
-    { urls: 'stun:stun2.l.google.com:19302' }
-  ]
-});
-
-const generateRoomId = () => Math.random().toString(36).substring(2, 8).toUpperCase();
-
-const copyToClipboard = async (text) => {
-  try { await navigator.clipboard.writeText(text); return true; }
-  catch (err) { console.error('Clipboard failed:', err); return false; }
-};
-
 const ConnectionStatus = ({ isConnected, connectionStatus, myId, onReconnect }) => (
   <div className="flex items-center justify-center gap-4 mb-4">
     <div className={`inline-flex items-center px-4 py-2 rounded-full text-sm font-medium ${
@@ -181,107 +238,177 @@ const ConnectionStatus = ({ isConnected, connectionStatus, myId, onReconnect })
   </div>
 );
 
-const RoomControls = ({ roomId, setRoomId, joinRoom, isConnected, callStage }) => {
-  const handleGenerateRoomId = () => setRoomId(generateRoomId());
-  const handleCopyRoomId = async () => { if (roomId) { const s = await copyToClipboard(roomId); if (s) console.log('Copied'); } };
-  return (
-    <div className="bg-white rounded-xl shadow-lg p-6">
-      <h3 className="text-xl font-semibold mb-4 text-gray-800">Join or Create Room</h3>
-      <div className="flex gap-3 mb-4">
-        <input
-          type="text"
-          placeholder="Enter Room ID"
-          value={roomId}
-          onChange={(e) => setRoomId(e.target.value.toUpperCase())}
-          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black bg-white"
-          onKeyPress={(e) => e.key === 'Enter' && joinRoom()}
-        />
-        <button onClick={handleGenerateRoomId} className="px-4 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors" title="Generate Random Room ID">🎲</button>
-        {roomId && <button onClick={handleCopyRoomId} className="px-4 py-3 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors" title="Copy Room ID">📋</button>}
-      </div>
-      <button
-        onClick={joinRoom}
-        disabled={!roomId.trim() || !isConnected || callStage !== 'idle'}
-        className="w-full bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-medium"
-      >
-        {isConnected ? (callStage === 'idle' ? 'Join Room' : (callStage === 'connecting' ? 'Connecting...' : 'In Call')) : 'Connecting to server...'}
-      </button>
-    </div>
-  );
+// what the server's `error` codes mean to someone trying to join
+const JOIN_ERROR_MESSAGES = {
+  INVALID_ROOM: 'That room ID is not valid. Use letters, digits, - or _.',
+  ROOM_FULL: 'This room is full.',
+  ROOM_LOCKED: 'The host has locked this room.',
+  ROOM_CLOSED: 'The room was closed before the host let you in.',
+  SERVER_FULL: 'The server is at capacity right now. Please try again later.',
+  PASSWORD_REQUIRED: 'This room is password protected. Enter the password to join.',
+  RATE_LIMITED: 'Too many attempts. Wait a moment and try again.',
+  WRONG_PASSWORD: 'Wrong room password.',
+  JOIN_DENIED: 'The host declined your request to join.',
+  NOT_STARTED: 'This meeting has not started yet. It opens 15 minutes before its start time.',
+  MEETING_ENDED: 'This meeting has ended.'
 };
 
-const CameraTest = ({ testCamera, cameraError, localVideoRef, isVideoOn, isAudioOn, localStreamRef }) => (
-  <div className="bg-white rounded-xl shadow-lg p-6">
-    <h3 className="text-xl font-semibold mb-4 text-gray-800">Camera & Audio Test</h3>
-    <button onClick={testCamera} className="bg-green-600 text-white px-6 py-3 rounded-lg hover:bg-green-700 transition-colors font-medium mb-4">Test Camera & Microphone</button>
-    {cameraError && <div className="bg-red-50 border border-red-200 text-red-700 p-4 rounded-lg mb-4"><strong>Error:</strong> {cameraError}</div>}
-    <div className="relative">
-      <video ref={localVideoRef} autoPlay playsInline muted className="w-full max-w-md h-64 bg-black rounded-lg object-cover mx-auto" style={{ transform: 'scaleX(-1)' }} />
-      <div className="absolute bottom-3 left-3 bg-black bg-opacity-75 text-white px-3 py-1 rounded-lg text-sm">Camera Test</div>
-      {!isVideoOn && <div className="absolute inset-0 flex items-center justify-center bg-gray-800 bg-opacity-75 text-white rounded-lg"><div className="text-center"><div className="text-2xl mb-2">📹</div><div>Click "Test Camera" above</div></div></div>}
-    </div>
-    <div className="mt-4 grid grid-cols-2 gap-4 text-sm">
-      <div className={`p-3 rounded-lg ${isVideoOn ? 'bg-green-50 text-green-700' : 'bg-gray-50 text-gray-500'}`}><div className="font-medium">Camera</div><div>{isVideoOn ? '✓ Working' : '○ Not active'}</div></div>
-      <div className={`p-3 rounded-lg ${isAudioOn && localStreamRef.current ? 'bg-green-50 text-green-700' : 'bg-gray-50 text-gray-500'}`}><div className="font-medium">Microphone</div><div>{isAudioOn && localStreamRef.current ? '✓ Working' : '○ Not active'}</div></div>
-    </div>
-  </div>
-);
+// how long the connecting screen waits for the server to answer join-room
+const JOIN_TIMEOUT_MS = 15000;
 
-const ConnectingScreen = ({ roomId, localVideoRef }) => (
+const ConnectingScreen = ({ roomId, localVideoRef, onCancel }) => (
   <div className="max-w-md mx-auto text-center">
     <div className="bg-white rounded-xl shadow-lg p-8">
       <div className="animate-spin w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full mx-auto mb-4"></div>
       <h3 className="text-xl font-semibold text-gray-800 mb-2">Connecting to room...</h3>
       <p className="text-gray-600">Room ID: {roomId}</p>
       <video ref={localVideoRef} autoPlay playsInline muted className="w-full h-48 bg-black rounded-lg object-cover mt-4" style={{ transform: 'scaleX(-1)' }} />
+      <button onClick={onCancel} className="mt-4 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors">Cancel</button>
     </div>
   </div>
 );
 
-const ControlButtons = ({ isVideoOn, isAudioOn, toggleCamera, toggleAudio, leaveRoom }) => (
-  <div className="flex justify-center gap-4 mb-6">
+const ControlButtons = ({ isVideoOn, isAudioOn, toggleCamera, toggleAudio, leaveRoom, isChatOpen, unreadCount, toggleChat, isScreenSharing, toggleScreenShare, isParticipantsOpen, participantCount, toggleParticipants, layout, toggleLayout, isRecording, toggleRecording, isDevicesOpen, toggleDevices, isStatsOpen, toggleStats }) => (
+  <div className="flex flex-wrap justify-center gap-4 mb-6">
     <button onClick={toggleCamera} className={`px-6 py-3 rounded-lg font-medium transition-colors ${isVideoOn ? 'bg-gray-600 hover:bg-gray-700 text-white' : 'bg-red-600 hover:bg-red-700 text-white'}`}>📹 {isVideoOn ? 'Camera On' : 'Camera Off'}</button>
     <button onClick={toggleAudio} className={`px-6 py-3 rounded-lg font-medium transition-colors ${isAudioOn ? 'bg-gray-600 hover:bg-gray-700 text-white' : 'bg-red-600 hover:bg-red-700 text-white'}`}>🎤 {isAudioOn ? 'Mic On' : 'Mic Off'}</button>
+    {navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia && (
+      <button onClick={toggleScreenShare} className={`px-6 py-3 rounded-lg font-medium transition-colors text-white ${isScreenSharing ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'}`}>🖥️ {isScreenSharing ? 'Stop Sharing' : 'Share Screen'}</button>
+    )}
+    <button onClick={toggleLayout} className="px-6 py-3 rounded-lg font-medium transition-colors text-white bg-gray-600 hover:bg-gray-700">{layout === 'speaker' ? '▦ Grid View' : '🗣️ Speaker View'}</button>
+    <RecordButton isRecording={isRecording} onToggle={toggleRecording} />
+    <button onClick={toggleDevices} className={`px-6 py-3 rounded-lg font-medium transition-colors text-white ${isDevicesOpen ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'}`}>⚙️ Devices</button>
+    <button onClick={toggleStats} className={`px-6 py-3 rounded-lg font-medium transition-colors text-white ${isStatsOpen ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'}`}>📊 Stats</button>
+    <ChatToggleButton isOpen={isChatOpen} unreadCount={unreadCount} onToggle={toggleChat} />
+    <button onClick={toggleParticipants} className={`px-6 py-3 rounded-lg font-medium transition-colors text-white ${isParticipantsOpen ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'}`}>👥 People ({participantCount})</button>
     <button onClick={leaveRoom} className="bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 transition-colors font-medium">Leave Room</button>
   </div>
 );
 
-const VideoGrid = ({ localVideoRef, isVideoOn, myId, remoteUsers, remoteStreamsRef, roomId }) => (
-  <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
-    <div className="relative bg-black rounded-xl overflow-hidden shadow-lg">
-      <video ref={localVideoRef} autoPlay playsInline muted className="w-full h-64 object-cover" style={{ transform: 'scaleX(-1)' }} />
-      <div className="absolute bottom-3 left-3 bg-black bg-opacity-75 text-white px-3 py-1 rounded-lg text-sm">You ({myId})</div>
-      {!isVideoOn && <div className="absolute inset-0 flex items-center justify-center bg-gray-800 bg-opacity-75 text-white"><div className="text-center"><div className="text-3xl mb-2">📹</div><div>Camera Off</div></div></div>}
-    </div>
+const ZOOM_LEVELS = [1, 1.5, 2, 3];
+
+const OFFLINE_MEDIA = { audio: true, video: true, screen: false }; // until the roster arrives
+
+const TILE_HEIGHTS = { normal: 'h-64', large: 'h-[60vh]', small: 'h-32' };
+const SPEAKING_RING = 'ring-4 ring-green-400';
 
-    {remoteUsers.map(userId => (
-      <div key={userId} className="relative bg-black rounded-xl overflow-hidden shadow-lg">
-        <video autoPlay playsInline className="w-full h-64 object-cover" ref={(el) => { if (el && remoteStreamsRef.current[userId]) el.srcObject = remoteStreamsRef.current[userId]; }} />
-        <div className="absolute bottom-3 left-3 bg-black bg-opacity-75 text-white px-3 py-1 rounded-lg text-sm">User {userId}</div>
+// Remote tile; screen shares switch to a contained, zoomable (scroll to pan) layout.
+// size: normal (grid) | large (promoted in speaker view) | small (speaker view strip)
+// e2ee: 'encrypted' | 'failed' once we know whether what they send decrypts (encrypted calls only)
+const RemoteVideo = ({ userId, participant, remoteStreamsRef, hostActions, isSpeaking, audioOutputId, signal, e2ee, size = 'normal', promoted = false }) => {
+  const [zoomIndex, setZoomIndex] = useState(0);
+  const videoRef = useRef(null);
+  const media = participant ? participant.media : OFFLINE_MEDIA;
+  const isScreenShare = media.screen;
+  const zoomable = isScreenShare && size !== 'small';
+  const zoom = zoomable ? ZOOM_LEVELS[zoomIndex] : 1;
+  const label = displayNameFor(participant, userId);
+  const spanClass = promoted ? 'col-span-full order-first' : (isScreenShare && size === 'normal' ? 'md:col-span-2 xl:col-span-3' : '');
+
+  useEffect(() => { if (!zoomable) setZoomIndex(0); }, [zoomable]);
+
+  // chosen speaker; '' is the system default
+  useEffect(() => {
+    const video = videoRef.current;
+    if (video && video.setSinkId) video.setSinkId(audioOutputId || '').catch(err => log.warn('setSinkId failed', err));
+  }, [audioOutputId]);
+
+  return (
+    <div className={`relative bg-black rounded-xl overflow-hidden shadow-lg transition-shadow ${spanClass} ${isSpeaking ? SPEAKING_RING : ''}`}>
+      <div className={zoomable ? 'h-[60vh] overflow-auto' : ''}>
+        <video
+          autoPlay
+          playsInline
+          className={zoomable ? 'object-contain' : `w-full ${TILE_HEIGHTS[size]} ${isScreenShare || size === 'large' ? 'object-contain' : 'object-cover'}`}
+          style={zoomable ? { width: `${zoom * 100}%`, height: `${zoom * 100}%`, maxWidth: 'none' } : undefined}
+          ref={(el) => { videoRef.current = el; if (el && remoteStreamsRef.current[userId]) el.srcObject = remoteStreamsRef.current[userId]; }}
+        />
       </div>
-    ))}
-
-    {remoteUsers.length === 0 && (
-      <div className="bg-gray-800 rounded-xl flex items-center justify-center text-white h-64 shadow-lg">
-        <div className="text-center">
-          <div className="text-2xl mb-3">👥</div>
-          <div className="text-lg mb-2">Waiting for others...</div>
-          <div className="text-sm text-gray-400">Share room ID: <strong>{roomId}</strong></div>
-          <div className="text-xs text-gray-500 mt-2">Your ID: {myId}</div>
-        </div>
+      {!media.video && !isScreenShare && (
+        <div className="absolute inset-0 flex items-center justify-center bg-gray-800 text-white"><Avatar label={label} size={size === 'small' ? 'sm' : 'lg'} /></div>
+      )}
+      <div className="absolute bottom-3 left-3 bg-black bg-opacity-75 text-white px-3 py-1 rounded-lg text-sm flex items-center gap-2">
+        <span>{label}{isScreenShare && ' • Sharing screen'}{participant && participant.reconnecting && ' • Reconnecting...'}</span>
+        <MediaStateIcons media={{ ...media, video: true, screen: false }} />
+        <SignalBars summary={signal} />
+        {e2ee === 'encrypted' && <span title="End-to-end encrypted">🔒</span>}
+        {e2ee === 'failed' && <span title="Not decrypting: this peer uses a different passphrase or has encryption off">🔓</span>}
       </div>
-    )}
-  </div>
+      {hostActions && <div className="absolute top-3 left-3">{hostActions}</div>}
+      {zoomable && (
+        <div className="absolute top-3 right-3 flex items-center gap-1 bg-black bg-opacity-75 text-white rounded-lg text-sm">
+          <button onClick={() => setZoomIndex(i => Math.max(0, i - 1))} disabled={zoomIndex === 0} className="px-3 py-1 disabled:opacity-40" title="Zoom out">−</button>
+          <span className="w-10 text-center">{zoom}x</span>
+          <button onClick={() => setZoomIndex(i => Math.min(ZOOM_LEVELS.length - 1, i + 1))} disabled={zoomIndex === ZOOM_LEVELS.length - 1} className="px-3 py-1 disabled:opacity-40" title="Zoom in">+</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Speaker view promotes a screen share first, then the dominant speaker, then the first peer
+const pickPromotedUser = (remoteUsers, participants, dominantSpeaker) => (
+  remoteUsers.find(id => participants[id] && participants[id].media.screen)
+  || (remoteUsers.includes(dominantSpeaker) ? dominantSpeaker : remoteUsers[0])
 );
 
+// promotedId: the large tile in speaker view (null = grid)
+const VideoGrid = ({ localVideoRef, isVideoOn, isAudioOn, isScreenSharing, myId, displayName, remoteUsers, remoteStreamsRef, participants, roomId, isHost, onKick, onRequestMute, speaking, promotedId, audioOutputId, networkStats, e2eeStatus }) => {
+  const speakerView = !!promotedId;
+  const sizeFor = (id) => (!speakerView ? 'normal' : (id === promotedId ? 'large' : 'small'));
+
+  return (
+    <div className={speakerView ? 'grid grid-cols-2 md:grid-cols-4 xl:grid-cols-6 gap-3' : 'grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4'}>
+      <div className={`relative bg-black rounded-xl overflow-hidden shadow-lg transition-shadow ${speaking[LOCAL_SPEAKER_ID] ? SPEAKING_RING : ''}`}>
+        <video ref={localVideoRef} autoPlay playsInline muted className={`w-full ${TILE_HEIGHTS[speakerView ? 'small' : 'normal']} ${isScreenSharing ? 'object-contain' : 'object-cover'}`} style={isScreenSharing ? undefined : { transform: 'scaleX(-1)' }} />
+        {!isVideoOn && !isScreenSharing && <div className="absolute inset-0 flex items-center justify-center bg-gray-800 text-white"><Avatar label={displayName || myId || '?'} size={speakerView ? 'sm' : 'lg'} /></div>}
+        <div className="absolute bottom-3 left-3 bg-black bg-opacity-75 text-white px-3 py-1 rounded-lg text-sm flex items-center gap-2">
+          <span>You ({displayName || myId}){isScreenSharing && ' • Sharing screen'}</span>
+          {!isAudioOn && <span title="Microphone muted">🔇</span>}
+        </div>
+      </div>
+
+      {remoteUsers.map(userId => (
+        <RemoteVideo
+          key={userId}
+          userId={userId}
+          participant={participants[userId]}
+          remoteStreamsRef={remoteStreamsRef}
+          isSpeaking={!!speaking[userId]}
+          audioOutputId={audioOutputId}
+          signal={networkStats[userId]}
+          e2ee={e2eeStatus[userId]}
+          size={sizeFor(userId)}
+          promoted={userId === promotedId}
+          hostActions={isHost ? <ParticipantHostActions onRequestMute={() => onRequestMute(userId)} onKick={() => onKick(userId)} /> : null}
+        />
+      ))}
+
+      {remoteUsers.length === 0 && (
+        <div className="bg-gray-800 rounded-xl flex items-center justify-center text-white h-64 shadow-lg">
+          <div className="text-center">
+            <div className="text-2xl mb-3">👥</div>
+            <div className="text-lg mb-2">Waiting for others...</div>
+            <div className="text-sm text-gray-400">Share room ID: <strong>{roomId}</strong></div>
+            <div className="text-xs text-gray-500 mt-2">Your ID: {myId}</div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 /* ==========================
    FULL App component
    ========================== */
 export default function App() {
   // app state
-  const [roomId, setRoomId] = useState('');
+  // an invite link (/r/ABC123) prefills the room; joining is one click after the pre-join checks
+  const [roomId, setRoomId] = useState(() => roomIdFromInvitePath(window.location.pathname) || '');
+  const [invitedRoom, setInvitedRoom] = useState(null); // stored room the invite link points at
+  const [inviteCopied, setInviteCopied] = useState(false);
   const [inCall, setInCall] = useState(false);
-  const [callStage, setCallStage] = useState('idle'); // idle | connecting | in-call
+  const [callStage, setCallStage] = useState('idle'); // idle | connecting | waiting | in-call
   const [showDebugInfo, setShowDebugInfo] = useState(false);
 
   // media refs/state
@@ -289,15 +416,118 @@ export default function App() {
   const localStreamRef = useRef(null);
   const [isVideoOn, setIsVideoOn] = useState(false);
   const [isAudioOn, setIsAudioOn] = useState(true);
+  // camera/mic state to join with, chosen on the pre-join screen
+  const [joinMedia, setJoinMedia] = useState({ audio: true, video: true });
+  // virtual background: the processor sits between the camera and what we show and send
+  const [backgroundEffect, setBackgroundEffect] = useState(NO_BACKGROUND_EFFECT);
+  const [backgroundBusy, setBackgroundBusy] = useState(false);
+  const [backgroundError, setBackgroundError] = useState(null);
+  const backgroundEffectRef = useRef(NO_BACKGROUND_EFFECT);
+  const backgroundProcessorRef = useRef(null);
   const [cameraError, setCameraError] = useState(null);
 
   // webRTC refs/state
+  const iceServersRef = useRef(null); // loaded from the backend before any peer connection
   const peerConnectionsRef = useRef({});
   const remoteStreamsRef = useRef({});
   const [remoteUsers, setRemoteUsers] = useState([]);
 
+  // chat refs/state (peerId -> RTCDataChannel)
+  const dataChannelsRef = useRef({});
+  const [chatMessages, setChatMessages] = useState([]);
+  const [isChatOpen, setIsChatOpen] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const chatOpenRef = useRef(false);
+
+  // screen share refs/state (remote shares are reported through the roster)
+  const screenTrackRef = useRef(null);
+  const [isScreenSharing, setIsScreenSharing] = useState(false);
+
+  // display name (persisted) and roster from the server: id -> { name, host, media, reconnecting }
+  const [displayName, setDisplayName] = useState(() => localStorage.getItem(DISPLAY_NAME_KEY) || '');
+  const [participants, setParticipants] = useState({});
+  const [isParticipantsOpen, setIsParticipantsOpen] = useState(false);
+
+  // room we've sent join-room for; read by the (stable) signaling handler
+  const activeRoomRef = useRef(null);
+  // its password, so a rejoin after a failed resume gets back into a protected room
+  const activeRoomPasswordRef = useRef(null);
+  // and the name and mic/camera/screen state to rejoin with (media kept current by the media-state effect)
+  const activeNameRef = useRef(null);
+  const mediaStateRef = useRef({ audio: true, video: true, screen: false });
+
+  // chosen camera/mic/speaker; appliedDevicesRef is what the live tracks were opened with
+  const { devices, selected: selectedDevices, selectDevice, refresh: refreshDevices } = useMediaDevices();
+  const appliedDevicesRef = useRef({ videoinput: '', audioinput: '' });
+  const [isDevicesOpen, setIsDevicesOpen] = useState(false);
+  // peer id -> summarizePeerStats(), refreshed by each connection's quality controller
+  const [networkStats, setNetworkStats] = useState({});
+  const [isStatsOpen, setIsStatsOpen] = useState(false);
+
+  // grid | speaker (dominant speaker promoted)
+  const [layout, setLayout] = useState('grid');
+  const { speaking, dominantSpeaker } = useActiveSpeaker({ enabled: callStage === 'in-call', localStreamRef, remoteStreamsRef });
+  const promotedId = layout === 'speaker' && remoteUsers.length > 0 ? pickPromotedUser(remoteUsers, participants, dominantSpeaker) : null;
+
+  // local recording: ids of everyone recording (from the server) and what the recorder draws
+  const [recorders, setRecorders] = useState([]);
+  const recordingViewRef = useRef(null);
+  useEffect(() => {
+    recordingViewRef.current = { myId: websocket.myIdRef.current, displayName: displayName.trim(), isVideoOn, isScreenSharing, remoteUsers, participants, promotedId };
+  });
+  // read every frame, so only refs: the local tile uses whatever the preview shows (camera or screen)
+  const getRecordingTiles = useCallback(() => {
+    const view = recordingViewRef.current;
+    if (!view) return [];
+    const local = {
+      id: LOCAL_SPEAKER_ID,
+      label: view.displayName || `User ${view.myId}`,
+      videoStream: localVideoRef.current ? localVideoRef.current.srcObject : null,
+      audioStream: localStreamRef.current,
+      videoOff: !view.isVideoOn && !view.isScreenSharing,
+      contain: view.isScreenSharing
+    };
+    return [local, ...view.remoteUsers.map(id => {
+      const participant = view.participants[id];
+      const media = participant ? participant.media : OFFLINE_MEDIA;
+      const stream = remoteStreamsRef.current[id] || null;
+      return {
+        id,
+        label: displayNameFor(participant, id),
+        videoStream: stream,
+        audioStream: stream,
+        videoOff: !media.video && !media.screen,
+        contain: media.screen,
+        promoted: id === view.promotedId
+      };
+    })];
+  }, []);
+  const recordingFileName = useCallback(() => `veo-chat-${activeRoomRef.current || 'call'}-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`, []);
+  const { isRecording, startRecording, stopRecording } = useCallRecorder({ getTiles: getRecordingTiles, fileName: recordingFileName });
+
   // join guard
   const joinInProgressRef = useRef(false);
+  const joinTimeoutRef = useRef(null); // running from join-room until the server answers it
+  // mesh: one RTCPeerConnection per peer | sfu: a single connection to the server
+  const roomModeRef = useRef('mesh');
+  const sfuConnectionRef = useRef(null);
+
+  // room access: password/lobby are applied by the server when the room is created
+  const [password, setPassword] = useState('');
+  const [lobbyEnabled, setLobbyEnabled] = useState(false);
+  const [sfuMode, setSfuMode] = useState(false);
+  const [roomError, setRoomError] = useState(null);
+  const [hostId, setHostId] = useState(null);
+  const [knocks, setKnocks] = useState([]); // peer ids waiting in the lobby (host only)
+  const [roomLocked, setRoomLocked] = useState(false);
+  const [muteRequested, setMuteRequested] = useState(false);
+
+  // end-to-end encryption (mesh rooms): the passphrase never leaves this browser
+  const [e2eeEnabled, setE2eeEnabled] = useState(false);
+  const [e2eePassphrase, setE2eePassphrase] = useState('');
+  const [e2eeMode, setE2eeMode] = useState('off'); // off | on | unavailable (joined an sfu room)
+  const [e2eeStatus, setE2eeStatus] = useState({}); // peerId -> 'encrypted' | 'failed'
+  const e2eeRef = useRef(null); // createE2ee context while in an encrypted call
 
   /* ---------- media helpers ---------- */
   const setVideoSource = useCallback(async (stream) => {
@@ -314,7 +544,7 @@ export default function App() {
 
       const onLoadedMetadata = () => {/* no-op */};
       const onCanPlay = async () => {
-        try { video.muted = true; await video.play(); setIsVideoOn(true); cleanup(); resolve(); }
+        try { video.muted = true; await video.play(); cleanup(); resolve(); }
         catch (playError) { cleanup(); reject(playError); }
       };
       const onError = () => { cleanup(); reject(new Error('Video element error')); };
@@ -327,44 +557,99 @@ export default function App() {
     });
   }, []);
 
-  const initVideo = useCallback(async () => {
+  // camera stream -> the stream we show and send; with an effect on, its video is the processor's output
+  const withBackground = useCallback(async (stream) => {
+    const effect = backgroundEffectRef.current;
+    const camera = stream.getVideoTracks()[0];
+    if (effect.type === 'none' || !camera) return stream;
     try {
-      if (localStreamRef.current && localStreamRef.current.active) { await setVideoSource(localStreamRef.current); return localStreamRef.current; }
-      const constraints = {
-        video: { width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: 'user' },
-        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
-      };
-      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      const processor = await createBackgroundProcessor(camera, effect);
+      backgroundProcessorRef.current = processor;
+      return new MediaStream([...stream.getAudioTracks(), processor.track]);
+    } catch (err) {
+      // the call goes ahead with the plain camera
+      log.error('virtual background unavailable', err);
+      setBackgroundError(err.message || 'Virtual background unavailable');
+      return stream;
+    }
+  }, []);
+
+  // ends processing and closes the camera feeding it
+  const stopBackground = useCallback(() => {
+    const processor = backgroundProcessorRef.current;
+    if (!processor) return;
+    backgroundProcessorRef.current = null;
+    processor.stop();
+    processor.inputTrack.stop();
+  }, []);
+
+  // the call starts with the camera/mic as chosen on the pre-join screen
+  const applyInitialMedia = useCallback((stream, initialMedia) => {
+    const videoTrack = stream.getVideoTracks()[0];
+    const audioTrack = stream.getAudioTracks()[0];
+    if (videoTrack) videoTrack.enabled = initialMedia.video;
+    if (audioTrack) audioTrack.enabled = initialMedia.audio;
+    setIsVideoOn(!!videoTrack && initialMedia.video);
+    setIsAudioOn(!!audioTrack && initialMedia.audio);
+  }, []);
+
+  const initVideo = useCallback(async (initialMedia = { audio: true, video: true }) => {
+    try {
+      if (localStreamRef.current && localStreamRef.current.active) {
+        applyInitialMedia(localStreamRef.current, initialMedia);
+        await setVideoSource(localStreamRef.current);
+        return localStreamRef.current;
+      }
+      const { stream: camera, deviceIds } = await openUserMedia(selectedDevices);
+      const stream = await withBackground(camera);
       localStreamRef.current = stream;
-      const videoTrack = stream.getVideoTracks()[0];
-      const audioTrack = stream.getAudioTracks()[0];
-      if (videoTrack) { videoTrack.enabled = true; setIsVideoOn(true); }
-      if (audioTrack) { audioTrack.enabled = true; setIsAudioOn(true); }
+      appliedDevicesRef.current = deviceIds;
+      refreshDevices(); // labels become available once permission is granted
+      applyInitialMedia(stream, initialMedia);
       await setVideoSource(stream);
       return stream;
     } catch (err) {
-      console.error('Failed to get media devices:', err);
+      log.error('could not get media devices', err);
       throw err;
     }
-  }, [setVideoSource]);
+  }, [setVideoSource, selectedDevices, refreshDevices, applyInitialMedia, withBackground]);
 
-  const testCamera = useCallback(async () => {
+  // pre-join preview: a fresh stream that the call then keeps using
+  const startPreview = useCallback(async () => {
     try {
       setCameraError(null);
+      stopBackground();
       if (localStreamRef.current) { localStreamRef.current.getTracks().forEach(t => t.stop()); localStreamRef.current = null; }
-      const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+      const { stream: camera, deviceIds } = await openUserMedia(selectedDevices);
+      const stream = await withBackground(camera);
       localStreamRef.current = stream;
-      const videoTrack = stream.getVideoTracks()[0];
-      const audioTrack = stream.getAudioTracks()[0];
-      if (videoTrack) { videoTrack.enabled = true; setIsVideoOn(true); }
-      if (audioTrack) { audioTrack.enabled = true; setIsAudioOn(true); }
+      appliedDevicesRef.current = deviceIds;
+      refreshDevices();
+      applyInitialMedia(stream, joinMedia);
       await setVideoSource(stream);
     } catch (err) {
-      console.error('Camera test failed:', err);
+      log.error('camera preview failed', err);
       setCameraError(err.message || 'Camera error');
       setIsVideoOn(false);
     }
-  }, [setVideoSource]);
+  }, [setVideoSource, selectedDevices, refreshDevices, applyInitialMedia, joinMedia, withBackground, stopBackground]);
+
+  const toggleJoinMedia = useCallback((kind) => {
+    const on = !joinMedia[kind];
+    setJoinMedia(prev => ({ ...prev, [kind]: on }));
+    const track = localStreamRef.current && localStreamRef.current.getTracks().find(t => t.kind === kind);
+    if (track) track.enabled = on;
+    if (kind === 'video') setIsVideoOn(!!track && on);
+    else setIsAudioOn(!!track && on);
+  }, [joinMedia]);
+
+  // open the preview whenever the pre-join screen shows (first load and after leaving);
+  // device changes while previewing are handled by applyDevice, not a restart
+  const startPreviewRef = useRef(startPreview);
+  useEffect(() => { startPreviewRef.current = startPreview; }, [startPreview]);
+  useEffect(() => {
+    if (callStage === 'idle' && !localStreamRef.current) startPreviewRef.current();
+  }, [callStage]);
 
   const toggleCamera = useCallback(() => {
     if (localStreamRef.current) {
@@ -380,79 +665,287 @@ export default function App() {
     }
   }, []);
 
+  /* ---------- chat helpers ---------- */
+  // only uses setters/refs so the stable signaling handler can call it
+  const receiveChatMessage = useCallback((message) => {
+    if (!message || typeof message.text !== 'string' || !message.id) return;
+    setChatMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, {
+      id: message.id,
+      from: message.from,
+      text: message.text,
+      ts: message.ts || Date.now()
+    }]);
+    if (!chatOpenRef.current) setUnreadCount(c => c + 1);
+  }, []);
+
+  const toggleChat = useCallback(() => {
+    setIsChatOpen(open => !open);
+    setUnreadCount(0);
+  }, []);
+
+  useEffect(() => { chatOpenRef.current = isChatOpen; }, [isChatOpen]);
+
+  /* ---------- peer teardown ---------- */
+  const removePeer = useCallback((id) => {
+    if (peerConnectionsRef.current[id]) {
+      try { peerConnectionsRef.current[id].close(); } catch { /* already closed */ }
+    }
+    delete peerConnectionsRef.current[id];
+    delete remoteStreamsRef.current[id];
+    delete dataChannelsRef.current[id];
+    if (e2eeRef.current) e2eeRef.current.removePeer(id);
+    setRemoteUsers(prev => prev.filter(x => x !== id));
+    setNetworkStats(prev => {
+      if (!prev[id]) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    setE2eeStatus(prev => {
+      if (!prev[id]) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }, []);
+
+  /* ---------- end-to-end encryption ---------- */
+  // someone left: send everyone still here a new key of ours, so the leaver can't follow the call
+  const rotateE2eeKey = useCallback(async () => {
+    const e2ee = e2eeRef.current;
+    if (!e2ee) return;
+    const payload = JSON.stringify(await e2ee.rotate());
+    Object.entries(dataChannelsRef.current).forEach(([peerId, channel]) => {
+      if (channel.readyState !== 'open') return;
+      try { channel.send(payload); } catch (err) { log.warn('could not send the new key', { peer: peerId, err }); }
+    });
+  }, []);
+
+  const closeE2ee = useCallback(() => {
+    if (e2eeRef.current) e2eeRef.current.close();
+    e2eeRef.current = null;
+    setE2eeStatus({});
+  }, []);
+
+  const clearJoinTimeout = useCallback(() => {
+    clearTimeout(joinTimeoutRef.current);
+    joinTimeoutRef.current = null;
+  }, []);
+
   /* ---------- signaling handler ---------- */
   const handleSignalingMessage = useCallback(async (message) => {
     try {
       const { type, from, sdp, candidate, peers, peerId } = message;
       switch (type) {
         case 'joined':
-          // peers is array of ids
+          log.info('joined room', { room: message.room, trace: message.trace, peers: peers.length, mode: message.mode });
+          clearJoinTimeout();
+          setHostId(message.host || null);
+          setRoomLocked(!!message.locked);
+          setCallStage('in-call');
+          setInCall(true);
+          setRecorders(message.recorders || []);
+          roomModeRef.current = message.mode === 'sfu' ? 'sfu' : 'mesh';
+          // sfu: the server offers next (sfu-offer). Keys travel over mesh data channels,
+          // so an existing sfu room is joined without end-to-end encryption.
+          if (roomModeRef.current === 'sfu') {
+            if (e2eeRef.current) {
+              closeE2ee();
+              setE2eeMode('unavailable');
+            }
+            break;
+          }
+          // peers is array of ids; the newcomer opens the connections and
+          // onnegotiationneeded sends the offers
           for (const existing of peers) {
             if (existing && existing !== websocket.myIdRef.current) {
-              await createOffer(existing);
+              connectToPeer(existing);
             }
           }
           break;
         case 'peer-joined': {
           const newPeerId = peerId || from || message.peerId;
           if (newPeerId && newPeerId !== websocket.myIdRef.current) {
-            console.log('peer-joined -> creating offer to:', newPeerId);
-            await createOffer(newPeerId);
+            // the newcomer offers to us; we only answer
+            log.info('peer joined, waiting for its offer', { peer: newPeerId });
           }
           break;
         }
-        case 'offer': {
-          let pc = peerConnectionsRef.current[from];
-          if (!pc) pc = initPeerConnection(from);
-          await pc.setRemoteDescription(new RTCSessionDescription(sdp));
-          const answer = await pc.createAnswer();
-          await pc.setLocalDescription(answer);
-          websocket.sendMessage({ type: 'answer', target: from, from: websocket.myIdRef.current, sdp: answer, room: roomId.trim().toUpperCase() });
+        case 'lobby-waiting':
+          log.info('waiting in the lobby', { room: message.room, trace: message.trace });
+          clearJoinTimeout();
+          setCallStage('waiting');
           break;
-        }
+        case 'error':
+          // a refused join ends the attempt (connecting or waiting in the lobby); others are only logged
+          log.warn('server error', { code: message.code, request: message.request, message: message.message, trace: message.trace });
+          if (message.request === 'join-room') {
+            leaveRoom({ notifyServer: false });
+            setRoomError(JOIN_ERROR_MESSAGES[message.code] || `Could not join the room (${message.code}).`);
+          }
+          break;
+        case 'knock':
+          setKnocks(prev => prev.some(k => k.peerId === peerId) ? prev : [...prev, { peerId, name: message.name }]);
+          break;
+        case 'knock-cancelled':
+          setKnocks(prev => prev.filter(k => k.peerId !== peerId));
+          break;
+        case 'host-changed':
+          setHostId(message.host || null);
+          break;
+        case 'room-locked':
+          setRoomLocked(!!message.locked);
+          break;
+        case 'request-mute':
+          setMuteRequested(true);
+          break;
+        case 'kicked':
+          leaveRoom({ notifyServer: false });
+          setRoomError('You were removed from the room by the host.');
+          break;
+        case 'room-closed':
+          leaveRoom({ notifyServer: false });
+          setRoomError('This room was closed by the server administrator.');
+          break;
+        case 'recording':
+          setRecorders(prev => (message.active
+            ? (prev.includes(peerId) ? prev : [...prev, peerId])
+            : prev.filter(id => id !== peerId)));
+          break;
+        case 'roster':
+          setParticipants(Object.fromEntries((message.participants || []).map(({ id, ...rest }) => [id, rest])));
+          break;
+        case 'offer':
         case 'answer': {
-          const pc = peerConnectionsRef.current[from];
-          if (pc) await pc.setRemoteDescription(new RTCSessionDescription(sdp));
+          // offers may also be renegotiations (screen share, late camera) or glare
+          const pc = peerConnectionsRef.current[from] || (type === 'offer' ? connectToPeer(from) : null);
+          if (pc) await pc.negotiation.handleDescription(sdp, message.trace);
+          else log.warn(`${type} from an unknown peer`, { peer: from, trace: message.trace });
           break;
         }
+        case 'sfu-offer': {
+          const connection = sfuConnectionRef.current || openSfuConnection();
+          await connection.handleOffer(sdp, message.uplink);
+          break;
+        }
+        case 'sfu-candidate':
+          // the server may trickle candidates before its first offer arrives; they are queued
+          if (candidate) (sfuConnectionRef.current || openSfuConnection()).handleCandidate(candidate);
+          break;
         case 'ice-candidate': {
           const pc = peerConnectionsRef.current[from];
           if (pc && candidate) {
-            try { await pc.addIceCandidate(new RTCIceCandidate(candidate)); } catch (e) { console.error(e); }
+            try { await pc.negotiation.handleCandidate(candidate); } catch (err) { log.error('addIceCandidate failed', { peer: from, err }); }
           }
           break;
         }
+        case 'chat':
+          receiveChatMessage({ ...message.message, from });
+          break;
         case 'peer-left': {
           const id = peerId || from;
-          if (peerConnectionsRef.current[id]) {
-            peerConnectionsRef.current[id].close();
-            delete peerConnectionsRef.current[id];
-            delete remoteStreamsRef.current[id];
-            setRemoteUsers(prev => prev.filter(x => x !== id));
+          if (peerConnectionsRef.current[id] || remoteStreamsRef.current[id]) removePeer(id);
+          setRecorders(prev => prev.filter(x => x !== id));
+          rotateE2eeKey();
+          break;
+        }
+        case 'resumed': {
+          // same id and room after a signaling blip: existing RTCPeerConnections carry on.
+          // Reconcile with peers that left or joined while we were away.
+          if (!activeRoomRef.current) break;
+          const current = new Set(peers || []);
+          if (roomModeRef.current === 'sfu') {
+            // the server re-sends any offer we missed
+            Object.keys(remoteStreamsRef.current).forEach(id => { if (!current.has(id)) removePeer(id); });
+            break;
           }
+          Object.keys(peerConnectionsRef.current).forEach(id => { if (!current.has(id)) removePeer(id); });
+          current.forEach(id => connectToPeer(id));
+          break;
+        }
+        case 'resume-failed': {
+          // old id is gone and peers have dropped us: rejoin the room as a newcomer
+          const room = activeRoomRef.current;
+          if (!room) break;
+          Object.keys(peerConnectionsRef.current).forEach(id => removePeer(id));
+          Object.keys(remoteStreamsRef.current).forEach(id => removePeer(id));
+          closeSfuConnection();
+          const trace = createTraceId();
+          log.info('rejoining room after failed resume', { room, trace });
+          websocket.sendMessage({
+            type: 'join-room', room, from: websocket.myIdRef.current, trace,
+            name: activeNameRef.current || undefined, password: activeRoomPasswordRef.current || undefined, media: mediaStateRef.current
+          });
           break;
         }
         default:
           break;
       }
     } catch (err) {
-      console.error('Error in signaling handler:', err);
+      log.error('signaling handler failed', { type: message.type, err });
     }
   }, []); // intentionally stable
 
   /* ---------- useWebSocket instance ---------- */
-  const websocket = useWebSocket(handleSignalingMessage);
+  const websocket = useWebSocket(handleSignalingMessage, getSignalingToken);
 
-  /* ---------- WebRTC helpers (init/createOffer) ---------- */
+  /* ---------- WebRTC helpers (init/connect) ---------- */
   const initPeerConnection = useCallback((userId) => {
-    const pc = new RTCPeerConnection(createRTCConfiguration());
+    const e2ee = e2eeRef.current;
+    const pc = new RTCPeerConnection({ ...createRTCConfiguration(iceServersRef.current || undefined), ...(e2ee ? e2ee.peerConnectionConfig : {}) });
     peerConnectionsRef.current[userId] = pc;
 
+    // attach before addTrack so the first negotiationneeded is handled
+    pc.negotiation = createPerfectNegotiation(pc, {
+      polite: isPolitePeer(websocket.myIdRef.current, userId),
+      label: userId,
+      sendDescription: (description, trace) => websocket.sendMessage({
+        type: description.type, target: userId, from: websocket.myIdRef.current, sdp: description, room: roomId.trim().toUpperCase(), trace
+      })
+    });
+
     if (localStreamRef.current) {
-      localStreamRef.current.getTracks().forEach(t => pc.addTrack(t, localStreamRef.current));
+      // peers joining mid-share receive the screen in place of the camera
+      localStreamRef.current.getTracks().forEach(t => {
+        const track = t.kind === 'video' && screenTrackRef.current ? screenTrackRef.current : t;
+        const sender = pc.addTrack(track, localStreamRef.current);
+        if (e2ee) e2ee.attachSender(sender);
+      });
     }
 
+    // chat channel: negotiated with a fixed id so both sides open it here without ondatachannel
+    const chatChannel = pc.createDataChannel('chat', { negotiated: true, id: 0 });
+    dataChannelsRef.current[userId] = chatChannel;
+    // encrypted calls: our media key goes to the peer as soon as the channel opens
+    if (e2ee) {
+      chatChannel.onopen = async () => {
+        const messages = await e2ee.keyMessages();
+        messages.forEach(message => chatChannel.send(JSON.stringify(message)));
+      };
+    }
+    chatChannel.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (data.type === 'chat') receiveChatMessage({ ...data.message, from: userId });
+        else if (data.type === 'e2ee-key' && e2eeRef.current) e2eeRef.current.handleKeyMessage(userId, data);
+      } catch (err) {
+        log.warn('invalid chat payload', { peer: userId, err });
+      }
+    };
+
+    // mesh: each side caps what it sends to this peer when the link degrades
+    createQualityController({
+      pc,
+      onSample: (level, stats) => {
+        applySenderQuality(videoSenderOf(pc), level);
+        // a sample can land after the peer was removed
+        if (peerConnectionsRef.current[userId] !== pc) return;
+        setNetworkStats(prev => ({ ...prev, [userId]: summarizePeerStats(stats) }));
+      }
+    });
+
     pc.ontrack = (event) => {
+      if (e2ee) e2ee.attachReceiver(event.receiver, userId);
       remoteStreamsRef.current[userId] = event.streams[0];
       setRemoteUsers(prev => prev.includes(userId) ? prev : [...prev, userId]);
     };
@@ -470,23 +963,227 @@ export default function App() {
           delete peerConnectionsRef.current[userId];
         }
         delete remoteStreamsRef.current[userId];
+        delete dataChannelsRef.current[userId];
         setRemoteUsers(prev => prev.filter(id => id !== userId));
       }
     };
 
     return pc;
-  }, [roomId, websocket]);
+  }, [roomId, websocket, receiveChatMessage]);
+
+  // sfu rooms: opened on the server's first offer; only uses refs so the stable signaling handler can call it
+  const openSfuConnection = useCallback(() => {
+    const connection = createSfuConnection({
+      configuration: createRTCConfiguration(iceServersRef.current || undefined),
+      getLocalTrack: (kind) => {
+        if (kind === 'video' && screenTrackRef.current) return screenTrackRef.current;
+        const stream = localStreamRef.current;
+        return stream ? (kind === 'video' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0]) : null;
+      },
+      sendMessage: (msg) => websocket.sendMessage({ ...msg, from: websocket.myIdRef.current }),
+      onRemoteStream: (userId, stream) => {
+        remoteStreamsRef.current[userId] = stream;
+        setRemoteUsers(prev => prev.includes(userId) ? prev : [...prev, userId]);
+      },
+      // one connection carries everyone: split what we receive by each publisher's tracks
+      onStats: (stats) => {
+        setNetworkStats(Object.fromEntries(Object.entries(remoteStreamsRef.current).map(([userId, stream]) => (
+          [userId, summarizePeerStats(stats, stream.getTracks().map(t => t.id))]
+        ))));
+      }
+    });
+    sfuConnectionRef.current = connection;
+    return connection;
+  }, [websocket]);
+
+  const closeSfuConnection = useCallback(() => {
+    if (sfuConnectionRef.current) sfuConnectionRef.current.close();
+    sfuConnectionRef.current = null;
+  }, []);
+
+  // returns the existing connection or opens one; offers come from onnegotiationneeded
+  const connectToPeer = useCallback((peerId) => (
+    peerConnectionsRef.current[peerId] || initPeerConnection(peerId)
+  ), [initPeerConnection]);
+
+  /* ---------- screen share ---------- */
+  // what we send for kind ('audio' | 'video') on every connection, mesh or sfu
+  const replaceOutgoingTrack = useCallback(async (kind, track) => {
+    if (sfuConnectionRef.current) await sfuConnectionRef.current.replaceTrack(kind, track);
+    await replaceTrackOnPeers(peerConnectionsRef.current, kind, track, localStreamRef.current);
+    // a peer that had nothing of this kind gets a new sender, which must encrypt too
+    const e2ee = e2eeRef.current;
+    if (e2ee) Object.values(peerConnectionsRef.current).forEach(pc => pc.getSenders().forEach(sender => e2ee.attachSender(sender)));
+  }, []);
+
+  const stopScreenShare = useCallback(async () => {
+    const screenTrack = screenTrackRef.current;
+    if (!screenTrack) return;
+    screenTrackRef.current = null;
+    screenTrack.onended = null;
+    screenTrack.stop();
+    setIsScreenSharing(false);
+
+    const cameraTrack = localStreamRef.current ? localStreamRef.current.getVideoTracks()[0] : null;
+    await replaceOutgoingTrack('video', cameraTrack || null);
+    if (localVideoRef.current) localVideoRef.current.srcObject = localStreamRef.current;
+  }, [replaceOutgoingTrack]);
+
+  const startScreenShare = useCallback(async () => {
+    if (screenTrackRef.current) return;
+    let displayStream;
+    try {
+      displayStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (err) {
+      log.warn('screen share cancelled or failed', err);
+      return;
+    }
+    const screenTrack = displayStream.getVideoTracks()[0];
+    if (!screenTrack) return;
+    screenTrackRef.current = screenTrack;
+    // keeps resolution over framerate when bandwidth drops (see utils/qualityController)
+    screenTrack.contentHint = 'detail';
+    // fired when the browser's own "Stop sharing" bar is used
+    screenTrack.onended = () => { stopScreenShare(); };
+    setIsScreenSharing(true);
+
+    await replaceOutgoingTrack('video', screenTrack);
+    if (localVideoRef.current) localVideoRef.current.srcObject = displayStream;
+  }, [replaceOutgoingTrack, stopScreenShare]);
+
+  /* ---------- device hot-swap ---------- */
+  // open deviceId ('' = default) for videoinput/audioinput and swap it into the live call
+  const applyDevice = useCallback(async (deviceKind, deviceId) => {
+    const stream = localStreamRef.current;
+    if (!stream) return;
+    const kind = deviceKind === 'videoinput' ? 'video' : 'audio';
+    const previous = stream.getTracks().find(t => t.kind === kind);
+    appliedDevicesRef.current = { ...appliedDevicesRef.current, [deviceKind]: deviceId };
+
+    let track;
+    try {
+      track = await acquireDeviceTrack(kind, deviceId);
+    } catch (err) {
+      log.error(`could not switch ${kind} device`, err);
+      return;
+    }
+    // left the call (or the stream changed) while the device was opening
+    if (localStreamRef.current !== stream) { track.stop(); return; }
+
+    // with a virtual background the new camera feeds the processor; what we send stays the same
+    const processor = kind === 'video' && backgroundProcessorRef.current;
+    if (processor) {
+      const oldCamera = processor.inputTrack;
+      await processor.setInput(track);
+      oldCamera.stop();
+      refreshDevices();
+      return;
+    }
 
-  const createOffer = useCallback(async (peerId) => {
-    const pc = initPeerConnection(peerId);
+    // keep mute / camera-off as they were
+    track.enabled = previous ? previous.enabled : true;
+    localStreamRef.current = swapStreamTrack(stream, track);
+    // while screen sharing the screen keeps going out; the new camera is sent when sharing stops
+    if (kind === 'audio' || !screenTrackRef.current) {
+      await replaceOutgoingTrack(kind, track);
+      if (kind === 'video' && localVideoRef.current) localVideoRef.current.srcObject = localStreamRef.current;
+    }
+    refreshDevices();
+  }, [replaceOutgoingTrack, refreshDevices]);
+
+  /* ---------- virtual background ---------- */
+  // the stream we show and send gets a new video track; nothing is renegotiated
+  const swapOutgoingVideo = useCallback(async (track) => {
+    const stream = localStreamRef.current;
+    const previous = stream.getVideoTracks()[0];
+    track.enabled = previous ? previous.enabled : true;
+    localStreamRef.current = new MediaStream([...stream.getAudioTracks(), track]);
+    // while screen sharing the screen keeps going out; this track is sent when sharing stops
+    if (!screenTrackRef.current) {
+      await replaceOutgoingTrack('video', track);
+      if (localVideoRef.current) localVideoRef.current.srcObject = localStreamRef.current;
+    }
+  }, [replaceOutgoingTrack]);
+
+  // switch effect at any time: before the camera opens, on the preview or mid-call
+  const changeBackground = useCallback(async (effect) => {
+    const previous = backgroundEffectRef.current;
+    const processor = backgroundProcessorRef.current;
+    const camera = processor ? processor.inputTrack : (localStreamRef.current && localStreamRef.current.getVideoTracks()[0]);
+    setBackgroundError(null);
+    setBackgroundBusy(true);
     try {
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-      websocket.sendMessage({ type: 'offer', target: peerId, from: websocket.myIdRef.current, sdp: offer, room: roomId.trim().toUpperCase() });
+      if (effect.type === 'none') {
+        if (processor) {
+          backgroundProcessorRef.current = null;
+          await swapOutgoingVideo(camera);
+          processor.stop();
+        }
+      } else if (processor) {
+        await processor.setEffect(effect);
+      } else if (camera) {
+        const started = await createBackgroundProcessor(camera, effect);
+        backgroundProcessorRef.current = started;
+        await swapOutgoingVideo(started.track);
+        // camera off is now the processed track being disabled; the camera itself keeps running
+        camera.enabled = true;
+      }
+      backgroundEffectRef.current = effect;
+      setBackgroundEffect(effect);
+      if (previous.type === 'image' && previous.url !== effect.url) URL.revokeObjectURL(previous.url);
     } catch (err) {
-      console.error('createOffer error:', err);
+      log.error('could not change background', err);
+      setBackgroundError(err.message || 'Could not change background');
+    } finally {
+      setBackgroundBusy(false);
     }
-  }, [initPeerConnection, roomId, websocket]);
+  }, [swapOutgoingVideo]);
+
+  // apply picks from the settings panel, and follow devices being plugged in or removed:
+  // an unplugged device falls back to the default, and a chosen one coming back is used again
+  useEffect(() => {
+    if (!localStreamRef.current) return undefined;
+    let cancelled = false;
+    (async () => {
+      for (const [deviceKind, kind] of [['videoinput', 'video'], ['audioinput', 'audio']]) {
+        const available = devices[deviceKind];
+        if (cancelled || !available.length || !localStreamRef.current) continue;
+        const wanted = available.some(d => d.deviceId === selectedDevices[deviceKind]) ? selectedDevices[deviceKind] : '';
+        const track = localStreamRef.current.getTracks().find(t => t.kind === kind);
+        if (track && track.readyState === 'live' && appliedDevicesRef.current[deviceKind] === wanted) continue;
+        await applyDevice(deviceKind, wanted);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [devices, selectedDevices, applyDevice]);
+
+  const audioOutputId = devices.audiooutput.some(d => d.deviceId === selectedDevices.audiooutput) ? selectedDevices.audiooutput : '';
+
+  const toggleScreenShare = useCallback(() => {
+    if (screenTrackRef.current) stopScreenShare(); else startScreenShare();
+  }, [startScreenShare, stopScreenShare]);
+
+  // send over each peer's data channel, relaying through the server when it isn't open yet
+  const sendChatMessage = useCallback((text) => {
+    const myId = websocket.myIdRef.current;
+    if (!myId) return false;
+    const message = { id: `${myId}-${Date.now()}-${Math.random().toString(36).substring(2, 6)}`, text, ts: Date.now() };
+    const payload = JSON.stringify({ type: 'chat', message });
+    const room = roomId.trim().toUpperCase();
+
+    // sfu rooms have no peer connections (so no data channels): relay to every participant
+    const targets = sfuConnectionRef.current ? Object.keys(participants).filter(id => id !== myId) : Object.keys(peerConnectionsRef.current);
+    targets.forEach(peerId => {
+      const channel = dataChannelsRef.current[peerId];
+      if (channel && channel.readyState === 'open') {
+        try { channel.send(payload); return; } catch (err) { log.warn('data channel send failed, relaying', { peer: peerId, err }); }
+      }
+      websocket.sendMessage({ type: 'chat', target: peerId, from: myId, message, room });
+    });
+
+    receiveChatMessage({ ...message, from: myId });
+    return true;
+  }, [roomId, participants, websocket, receiveChatMessage]);
 
   /* ---------- Room functions ---------- */
   const joinRoom = useCallback(async () => {
@@ -498,40 +1195,93 @@ export default function App() {
       const normalizedRoom = (roomId || '').trim().toUpperCase();
       if (!normalizedRoom) { alert('Please enter a room ID'); return; }
       if (!websocket.isConnected || !websocket.myIdRef.current) { alert('Not connected to server'); return; }
+      if (e2eeEnabled && !e2eePassphrase) { alert('Please enter the encryption passphrase'); return; }
 
       setCallStage('connecting');
       setCameraError(null);
+      setRoomError(null);
 
       try {
-        await initVideo();
+        await initVideo(joinMedia);
       } catch (err) {
         setCameraError(err.message || 'Camera init failed');
         setCallStage('idle');
         return;
       }
 
-      const ok = websocket.sendMessage({ type: 'join-room', room: normalizedRoom, from: websocket.myIdRef.current });
-      if (ok) { setCallStage('in-call'); setInCall(true); }
-      else throw new Error('Failed to send join message');
+      // peers start offering as soon as we join, so the ICE list must be ready first
+      iceServersRef.current = await fetchIceServers();
+      // likewise the encryption context; only its derived key is kept, the server never sees either
+      if (e2eeEnabled) {
+        e2eeRef.current = await createE2ee({
+          passphrase: e2eePassphrase,
+          room: normalizedRoom,
+          getMyId: () => websocket.myIdRef.current,
+          onStatus: (peerId, status) => setE2eeStatus(prev => (prev[peerId] === status ? prev : { ...prev, [peerId]: status }))
+        });
+      }
+      setE2eeMode(e2eeEnabled ? 'on' : 'off');
+
+      // stay on the connecting screen until the server answers with joined / lobby-waiting / error
+      const trace = createTraceId();
+      log.info('joining room', { room: normalizedRoom, trace, mode: sfuMode ? 'sfu' : 'mesh', e2ee: e2eeEnabled });
+      const ok = websocket.sendMessage({
+        type: 'join-room', room: normalizedRoom, from: websocket.myIdRef.current, trace,
+        name: displayName.trim() || undefined, password: password || undefined, lobby: lobbyEnabled,
+        mode: sfuMode ? 'sfu' : undefined, media: { audio: joinMedia.audio, video: joinMedia.video, screen: false }
+      });
+      if (!ok) throw new Error('Failed to send join message');
+      activeRoomRef.current = normalizedRoom;
+      activeRoomPasswordRef.current = password || null;
+      activeNameRef.current = displayName.trim() || null;
+      mediaStateRef.current = { audio: joinMedia.audio, video: joinMedia.video, screen: false };
+      // never spin forever on the connecting screen
+      joinTimeoutRef.current = setTimeout(() => {
+        leaveRoomRef.current();
+        setRoomError('The server did not answer. Check your connection and try again.');
+      }, JOIN_TIMEOUT_MS);
+      // the address bar becomes the room's invite link
+      window.history.replaceState(null, '', `/r/${encodeURIComponent(normalizedRoom)}`);
     } catch (err) {
-      console.error('joinRoom error:', err);
+      log.error('join failed', { room: roomId, err });
       alert('Failed to join room: ' + (err.message || err));
+      closeE2ee();
       setCallStage('idle');
     } finally {
       joinInProgressRef.current = false;
     }
-  }, [roomId, websocket, initVideo]);
-
-  const leaveRoom = useCallback(() => {
-    const normalizedRoom = (roomId || '').trim().toUpperCase();
+  }, [roomId, displayName, password, lobbyEnabled, sfuMode, joinMedia, e2eeEnabled, e2eePassphrase, websocket, initVideo, closeE2ee]);
+
+  // notifyServer=false when the server already dropped us (e.g. a join error)
+  const leaveRoom = useCallback(({ notifyServer = true } = {}) => {
+    // finish (and download) a recording in progress before its sources go away
+    stopRecording();
+    clearJoinTimeout();
+    const normalizedRoom = activeRoomRef.current;
+    activeRoomRef.current = null;
+    activeRoomPasswordRef.current = null;
+    activeNameRef.current = null;
     // close peers
     Object.keys(peerConnectionsRef.current).forEach(id => {
       try { peerConnectionsRef.current[id].close(); } catch (e) {}
       delete peerConnectionsRef.current[id];
       delete remoteStreamsRef.current[id];
     });
+    closeSfuConnection();
+    closeE2ee();
+    roomModeRef.current = 'mesh';
+    remoteStreamsRef.current = {};
+    dataChannelsRef.current = {};
+
+    // stop screen share
+    if (screenTrackRef.current) {
+      screenTrackRef.current.onended = null;
+      screenTrackRef.current.stop();
+      screenTrackRef.current = null;
+    }
 
     // stop local stream
+    stopBackground();
     if (localStreamRef.current) {
       localStreamRef.current.getTracks().forEach(t => t.stop());
       localStreamRef.current = null;
@@ -543,20 +1293,101 @@ export default function App() {
     setInCall(false);
     setCallStage('idle');
     setRemoteUsers([]);
-
-    if (normalizedRoom && websocket.myIdRef.current) {
+    setChatMessages([]);
+    setUnreadCount(0);
+    setIsScreenSharing(false);
+    setParticipants({});
+    setHostId(null);
+    setKnocks([]);
+    setRoomLocked(false);
+    setMuteRequested(false);
+    setRecorders([]);
+    setNetworkStats({});
+    setE2eeMode('off');
+
+    if (notifyServer && normalizedRoom && websocket.myIdRef.current) {
       websocket.sendMessage({ type: 'leave-room', room: normalizedRoom, from: websocket.myIdRef.current });
     } else {
       // ensure socket closed if no room
       // websocket.disconnect() // don't forcibly close socket here; keep connection for reuse
     }
-  }, [roomId, websocket]);
+  }, [websocket, closeSfuConnection, closeE2ee, clearJoinTimeout, stopRecording, stopBackground]);
+
+  const respondToKnock = useCallback((peerId, admit) => {
+    websocket.sendMessage({ type: admit ? 'admit' : 'deny', room: activeRoomRef.current, peerId, from: websocket.myIdRef.current });
+    setKnocks(prev => prev.filter(k => k.peerId !== peerId));
+  }, [websocket]);
+
+  // name, schedule and settings of a room created ahead of time
+  useEffect(() => {
+    const invitedId = roomIdFromInvitePath(window.location.pathname);
+    if (invitedId) fetchRoom(invitedId).then(setInvitedRoom);
+  }, []);
+
+  const copyInviteLink = useCallback(async () => {
+    if (await copyToClipboard(inviteUrlFor(activeRoomRef.current))) {
+      setInviteCopied(true);
+      setTimeout(() => setInviteCopied(false), 2000);
+    }
+  }, []);
+
+  // remember the display name for next time
+  useEffect(() => {
+    if (displayName.trim()) localStorage.setItem(DISPLAY_NAME_KEY, displayName.trim());
+    else localStorage.removeItem(DISPLAY_NAME_KEY);
+  }, [displayName]);
+
+  // publish mic/camera/screen state so peers can show muted icons and avatars
+  const sendSignal = websocket.sendMessage;
+  useEffect(() => {
+    if (callStage !== 'in-call') return;
+    mediaStateRef.current = { audio: isAudioOn, video: isVideoOn, screen: isScreenSharing };
+    sendSignal({ type: 'media-state', ...mediaStateRef.current });
+  }, [callStage, isAudioOn, isVideoOn, isScreenSharing, sendSignal]);
+
+  const toggleRecording = useCallback(() => {
+    if (isRecording) {
+      stopRecording();
+      sendSignal({ type: 'recording', active: false });
+    } else if (startRecording()) {
+      sendSignal({ type: 'recording', active: true });
+    }
+  }, [isRecording, startRecording, stopRecording, sendSignal]);
+
+  const nameFor = useCallback((id) => displayNameFor(participants[id], id), [participants]);
+
+  // JSON dump of every connection's raw getStats plus what the stats panel shows
+  const exportStats = useCallback(async () => {
+    const connections = Object.fromEntries(Object.entries(peerConnectionsRef.current).map(([id, pc]) => [`peer:${id}`, pc]));
+    if (sfuConnectionRef.current) connections.sfu = sfuConnectionRef.current.pc;
+    const dump = await buildStatsDump({
+      connections,
+      summaries: networkStats,
+      meta: { room: activeRoomRef.current, myId: websocket.myIdRef.current, mode: roomModeRef.current, participants }
+    });
+    const fileName = `veo-chat-stats-${activeRoomRef.current || 'call'}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    downloadBlob(new Blob([JSON.stringify(dump, null, 2)], { type: 'application/json' }), fileName);
+  }, [networkStats, participants, websocket]);
+
+  /* ---------- host moderation (enforced by the server) ---------- */
+  const sendHostCommand = useCallback((command) => {
+    websocket.sendMessage({ ...command, room: activeRoomRef.current, from: websocket.myIdRef.current });
+  }, [websocket]);
+
+  const kickParticipant = useCallback((peerId) => {
+    if (window.confirm(`Remove User ${peerId} from the room?`)) sendHostCommand({ type: 'kick', peerId });
+  }, [sendHostCommand]);
+
+  const acceptMuteRequest = useCallback(() => {
+    if (isAudioOn) toggleAudio();
+    setMuteRequested(false);
+  }, [isAudioOn, toggleAudio]);
 
   // send leave-room on unload to avoid orphaned rooms
   useEffect(() => {
     const onUnload = () => {
       try {
-        const normalizedRoom = (roomId || '').trim().toUpperCase();
+        const normalizedRoom = activeRoomRef.current;
         if (normalizedRoom && websocket.myIdRef.current) {
           websocket.sendMessage({ type: 'leave-room', room: normalizedRoom, from: websocket.myIdRef.current });
         }
@@ -564,14 +1395,23 @@ export default function App() {
     };
     window.addEventListener('beforeunload', onUnload);
     return () => window.removeEventListener('beforeunload', onUnload);
-  }, [roomId, websocket]);
+  }, [websocket]);
 
-  // cleanup on component unmount
+  // cleanup on component unmount only (leaveRoom's identity changes every render)
+  const leaveRoomRef = useRef(leaveRoom);
+  useEffect(() => { leaveRoomRef.current = leaveRoom; }, [leaveRoom]);
+  useEffect(() => () => {
+    if (activeRoomRef.current) leaveRoomRef.current();
+  }, []);
+
+  // each stage renders its own <video>, so re-attach the local preview when it changes
   useEffect(() => {
-    return () => {
-      if (inCall) leaveRoom();
-    };
-  }, [inCall, leaveRoom]);
+    const video = localVideoRef.current;
+    if (video && localStreamRef.current && !video.srcObject) {
+      video.srcObject = localStreamRef.current;
+      video.play().catch(() => { /* autoplay blocked; muted preview usually allowed */ });
+    }
+  }, [callStage]);
 
   /* ============================
      Render
@@ -587,22 +1427,56 @@ export default function App() {
         </header>
 
         {callStage === 'idle' && (
-          <div className="max-w-2xl mx-auto space-y-6">
-            <RoomControls roomId={roomId} setRoomId={setRoomId} joinRoom={joinRoom} isConnected={websocket.isConnected} callStage={callStage} />
-            <CameraTest testCamera={testCamera} cameraError={cameraError} localVideoRef={localVideoRef} isVideoOn={isVideoOn} isAudioOn={isAudioOn} localStreamRef={localStreamRef} />
-          </div>
+          <PreJoinScreen
+            localVideoRef={localVideoRef} localStreamRef={localStreamRef} isVideoOn={isVideoOn} cameraError={cameraError} onRetryPreview={startPreview}
+            joinMedia={joinMedia} onToggleJoinMedia={toggleJoinMedia} devices={devices} selectedDevices={selectedDevices} onSelectDevice={selectDevice} audioOutputId={audioOutputId}
+            roomId={roomId} setRoomId={setRoomId} joinRoom={joinRoom} isConnected={websocket.isConnected} callStage={callStage} displayName={displayName} setDisplayName={setDisplayName}
+            password={password} setPassword={setPassword} lobbyEnabled={lobbyEnabled} setLobbyEnabled={setLobbyEnabled} sfuMode={sfuMode} setSfuMode={setSfuMode} roomError={roomError}
+            background={{ effect: backgroundEffect, onChange: changeBackground, busy: backgroundBusy, error: backgroundError }}
+            e2ee={{ supported: isE2eeSupported(), enabled: e2eeEnabled, setEnabled: setE2eeEnabled, passphrase: e2eePassphrase, setPassphrase: setE2eePassphrase }}
+            invite={invitedRoom && invitedRoom.id === roomId.trim().toUpperCase() ? invitedRoom : null}
+          />
         )}
 
-        {callStage === 'connecting' && <ConnectingScreen roomId={roomId} localVideoRef={localVideoRef} />}
+        {callStage === 'connecting' && <ConnectingScreen roomId={roomId} localVideoRef={localVideoRef} onCancel={() => leaveRoom()} />}
+
+        {callStage === 'waiting' && <WaitingScreen roomId={roomId} localVideoRef={localVideoRef} onCancel={() => leaveRoom()} />}
 
         {callStage === 'in-call' && inCall && (
           <div className="space-y-6">
-            <ControlButtons isVideoOn={isVideoOn} isAudioOn={isAudioOn} toggleCamera={toggleCamera} toggleAudio={toggleAudio} leaveRoom={leaveRoom} />
+            <ControlButtons isVideoOn={isVideoOn} isAudioOn={isAudioOn} toggleCamera={toggleCamera} toggleAudio={toggleAudio} leaveRoom={() => leaveRoom()} isChatOpen={isChatOpen} unreadCount={unreadCount} toggleChat={toggleChat} isScreenSharing={isScreenSharing} toggleScreenShare={toggleScreenShare} isParticipantsOpen={isParticipantsOpen} participantCount={Object.keys(participants).length || remoteUsers.length + 1} toggleParticipants={() => setIsParticipantsOpen(open => !open)} layout={layout} toggleLayout={() => setLayout(l => (l === 'speaker' ? 'grid' : 'speaker'))} isRecording={isRecording} toggleRecording={toggleRecording} isDevicesOpen={isDevicesOpen} toggleDevices={() => setIsDevicesOpen(open => !open)} isStatsOpen={isStatsOpen} toggleStats={() => setIsStatsOpen(open => !open)} />
             <div className="text-center text-gray-600 mb-4 bg-white rounded-lg p-4 shadow">
-              <div className="font-medium">Room: {roomId.trim().toUpperCase()}</div>
+              <div className="font-medium">
+                Room: {invitedRoom && invitedRoom.id === activeRoomRef.current ? `${invitedRoom.name} (${activeRoomRef.current})` : roomId.trim().toUpperCase()}
+                <button onClick={copyInviteLink} className="ml-2 text-sm text-blue-600 hover:text-blue-800" title="Copy a link that opens this room">{inviteCopied ? 'Link copied' : '🔗 Copy invite link'}</button>
+              </div>
               <div className="text-sm">Connected users: {remoteUsers.length + 1}</div>
+              {hostId === websocket.myIdRef.current && <div className="text-xs text-blue-600 mt-1">You are the host</div>}
+              {e2eeMode === 'on' && <div className="text-xs text-green-700 mt-1">🔒 End-to-end encrypted</div>}
+              {e2eeMode === 'unavailable' && <div className="text-xs text-amber-700 mt-1">This is a large (server-forwarded) room, so the call is not end-to-end encrypted</div>}
+            </div>
+            {hostId === websocket.myIdRef.current && (
+              <>
+                <HostControls roomLocked={roomLocked} onToggleLock={() => sendHostCommand({ type: 'lock-room', locked: !roomLocked })} onMuteAll={() => sendHostCommand({ type: 'request-mute' })} />
+                <KnockRequests knocks={knocks} onAdmit={(id) => respondToKnock(id, true)} onDeny={(id) => respondToKnock(id, false)} />
+              </>
+            )}
+            <RecordingIndicator recorders={recorders} myId={websocket.myIdRef.current} nameFor={nameFor} />
+            {muteRequested && isAudioOn && <MuteRequestPrompt onMute={acceptMuteRequest} onDismiss={() => setMuteRequested(false)} />}
+            <div className={isChatOpen || isParticipantsOpen || isDevicesOpen || isStatsOpen ? 'grid grid-cols-1 lg:grid-cols-4 gap-4' : ''}>
+              <div className={isChatOpen || isParticipantsOpen || isDevicesOpen || isStatsOpen ? 'lg:col-span-3' : ''}>
+                <VideoGrid localVideoRef={localVideoRef} isVideoOn={isVideoOn} isAudioOn={isAudioOn} isScreenSharing={isScreenSharing} myId={websocket.myIdRef.current} displayName={displayName.trim()} remoteUsers={remoteUsers} remoteStreamsRef={remoteStreamsRef} participants={participants} roomId={roomId} speaking={speaking} promotedId={promotedId} audioOutputId={audioOutputId} networkStats={networkStats} e2eeStatus={e2eeStatus} isHost={hostId === websocket.myIdRef.current} onKick={kickParticipant} onRequestMute={(peerId) => sendHostCommand({ type: 'request-mute', peerId })} />
+              </div>
+              {(isChatOpen || isParticipantsOpen || isDevicesOpen || isStatsOpen) && (
+                <div className="space-y-4">
+                  {isStatsOpen && <CallStatsPanel stats={networkStats} nameFor={nameFor} viaServer={roomModeRef.current === 'sfu'} onExport={exportStats} onClose={() => setIsStatsOpen(false)} />}
+                  {isDevicesOpen && <DeviceSettingsPanel devices={devices} selected={selectedDevices} onSelect={selectDevice} onClose={() => setIsDevicesOpen(false)} />}
+                  {isDevicesOpen && <BackgroundPicker effect={backgroundEffect} onChange={changeBackground} busy={backgroundBusy} error={backgroundError} />}
+                  {isParticipantsOpen && <ParticipantList participants={participants} myId={websocket.myIdRef.current} onClose={() => setIsParticipantsOpen(false)} />}
+                  {isChatOpen && <ChatPanel messages={chatMessages} myId={websocket.myIdRef.current} nameFor={nameFor} onSend={sendChatMessage} onClose={toggleChat} />}
+                </div>
+              )}
             </div>
-            <VideoGrid localVideoRef={localVideoRef} isVideoOn={isVideoOn} myId={websocket.myIdRef.current} remoteUsers={remoteUsers} remoteStreamsRef={remoteStreamsRef} roomId={roomId} />
           </div>
         )}
       </div>
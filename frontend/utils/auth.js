@@ -0,0 +1,58 @@
+// utils/auth.js
+// Token for a signaling server that runs with authentication (backend/auth.js). Taken from, in order:
+// - `?token=` on the page url (kept for this tab and removed from the address bar),
+// - the token already kept for this tab, while it hasn't expired,
+// - VITE_SIGNALING_TOKEN_URL: an endpoint of the site embedding the app that returns { token }
+//   for the signed-in user (asked again on every connect, so tokens can be short-lived).
+// No token is fine when the server runs without authentication.
+
+const TOKEN_KEY = 'veo-chat.signalingToken';
+const TOKEN_URL = import.meta.env.VITE_SIGNALING_TOKEN_URL;
+
+// how the server closes a socket it refused (reason = code name)
+const AUTH_FAILURES = {
+  4001: 'Not signed in',
+  4003: 'Sign-in rejected',
+  4004: 'Sign-in expired'
+};
+
+// only reads `exp` so an expired token isn't offered again; the server does the real check
+const isExpired = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' && payload.exp * 1000 < Date.now();
+  } catch {
+    return false; // not a JWT: let the server decide
+  }
+};
+
+const takeTokenFromUrl = () => {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get('token');
+  if (!token) return null;
+  url.searchParams.delete('token');
+  window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+  try { sessionStorage.setItem(TOKEN_KEY, token); } catch { /* storage disabled: still usable once */ }
+  return token;
+};
+
+export const getSignalingToken = async () => {
+  const fromUrl = takeTokenFromUrl();
+  if (fromUrl) return fromUrl;
+
+  let stored = null;
+  try { stored = sessionStorage.getItem(TOKEN_KEY); } catch { /* storage disabled */ }
+  if (stored && !isExpired(stored)) return stored;
+
+  if (!TOKEN_URL) return stored;
+  const res = await fetch(TOKEN_URL, { credentials: 'include', cache: 'no-store' });
+  if (!res.ok) throw new Error(`token endpoint: HTTP ${res.status}`);
+  const { token } = await res.json();
+  return token || null;
+};
+
+// connectionStatus text for a socket the server refused, or null for any other close
+export const authFailureStatus = (closeEvent) => {
+  const label = AUTH_FAILURES[closeEvent.code];
+  return label ? `${label} (${closeEvent.reason || closeEvent.code})` : null;
+};
@@ -0,0 +1,168 @@
+// utils/backgroundEffects.js
+// Virtual backgrounds: the camera track goes through a person segmentation model (MediaPipe
+// selfie segmentation, bundled with the app and run on the CPU in WebAssembly) and is
+// composited on a canvas whose captured track is what gets sent. Changing the effect only
+// changes what is drawn, so the outgoing track and every connection stay as they are.
+
+import scriptUrl from '@mediapipe/selfie_segmentation/selfie_segmentation.js?url';
+import graphUrl from '@mediapipe/selfie_segmentation/selfie_segmentation.binarypb?url';
+import modelUrl from '@mediapipe/selfie_segmentation/selfie_segmentation.tflite?url';
+import landscapeModelUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_landscape.tflite?url';
+import simdLoaderUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.js?url';
+import simdWasmUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.wasm?url';
+import simdDataUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_simd_wasm_bin.data?url';
+import loaderUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_wasm_bin.js?url';
+import wasmUrl from '@mediapipe/selfie_segmentation/selfie_segmentation_solution_wasm_bin.wasm?url';
+import { createTicker } from './ticker';
+import { createLogger } from './logger';
+
+const log = createLogger('background');
+
+// { type: 'none' } | { type: 'blur' } | { type: 'color', color } | { type: 'image', url }
+export const NO_BACKGROUND_EFFECT = { type: 'none' };
+
+const FPS = 30;
+const BLUR_PX = 12;
+
+// the model files by the name MediaPipe asks for, served from our own bundle
+const ASSETS = {
+  'selfie_segmentation.binarypb': graphUrl,
+  'selfie_segmentation.tflite': modelUrl,
+  'selfie_segmentation_landscape.tflite': landscapeModelUrl,
+  'selfie_segmentation_solution_simd_wasm_bin.js': simdLoaderUrl,
+  'selfie_segmentation_solution_simd_wasm_bin.wasm': simdWasmUrl,
+  'selfie_segmentation_solution_simd_wasm_bin.data': simdDataUrl,
+  'selfie_segmentation_solution_wasm_bin.js': loaderUrl,
+  'selfie_segmentation_solution_wasm_bin.wasm': wasmUrl
+};
+
+// The solution script is a closure-compiled global, not a module: load it once with a
+// <script> tag and keep one segmenter for the page (results go to whoever is processing).
+let segmenterPromise = null;
+let onSegmented = null;
+
+const loadScript = (src) => new Promise((resolve, reject) => {
+  const script = document.createElement('script');
+  script.src = src;
+  script.async = true;
+  script.onload = resolve;
+  script.onerror = () => reject(new Error('Could not load the background segmentation model'));
+  document.head.appendChild(script);
+});
+
+const loadSegmenter = () => {
+  if (!segmenterPromise) {
+    segmenterPromise = (async () => {
+      if (!window.SelfieSegmentation) await loadScript(scriptUrl);
+      const segmenter = new window.SelfieSegmentation({ locateFile: (file) => ASSETS[file] || file });
+      // landscape model: lighter and made for webcam-shaped frames
+      segmenter.setOptions({ modelSelection: 1, selfieMode: false, useCpuInference: true });
+      segmenter.onResults(results => { if (onSegmented) onSegmented(results); });
+      await segmenter.initialize();
+      return segmenter;
+    })();
+    segmenterPromise.catch(() => { segmenterPromise = null; });
+  }
+  return segmenterPromise;
+};
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not load the background image'));
+  img.src = url;
+});
+
+// cover-fit an image into w x h, like object-fit: cover
+const drawCover = (ctx, img, w, h) => {
+  const scale = Math.max(w / img.width, h / img.height);
+  const dw = img.width * scale;
+  const dh = img.height * scale;
+  ctx.drawImage(img, (w - dw) / 2, (h - dh) / 2, dw, dh);
+};
+
+// Runs inputTrack (a camera track) through the effect. Returns { track, inputTrack, setEffect,
+// setInput, stop }: track is the processed output to send, setInput swaps the camera (device
+// change) and stop() ends processing; the caller owns and stops the camera track itself.
+export const createBackgroundProcessor = async (inputTrack, initialEffect) => {
+  const segmenter = await loadSegmenter();
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  // the real size follows the camera's frames; this is only until the first one
+  const { width = 640, height = 480 } = inputTrack.getSettings();
+  canvas.width = width;
+  canvas.height = height;
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+
+  let input = inputTrack;
+  let effect = initialEffect;
+  let image = null;
+  let busy = false;
+
+  const setInput = async (track) => {
+    input = track;
+    video.srcObject = new MediaStream([track]);
+    await video.play().catch(() => { /* muted, so autoplay is allowed; retried on the next frame */ });
+  };
+
+  const setEffect = async (next) => {
+    image = next.type === 'image' ? await loadImage(next.url) : null;
+    effect = next;
+  };
+
+  const draw = ({ image: frame, segmentationMask }) => {
+    const w = canvas.width;
+    const h = canvas.height;
+    ctx.save();
+    ctx.clearRect(0, 0, w, h);
+    // keep the person: the mask is opaque where someone is
+    ctx.drawImage(segmentationMask, 0, 0, w, h);
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.drawImage(frame, 0, 0, w, h);
+    // and put the new background behind them
+    ctx.globalCompositeOperation = 'destination-over';
+    if (effect.type === 'blur') {
+      ctx.filter = `blur(${BLUR_PX}px)`;
+      ctx.drawImage(frame, 0, 0, w, h);
+    } else if (effect.type === 'image' && image) {
+      drawCover(ctx, image, w, h);
+    } else {
+      ctx.fillStyle = effect.type === 'color' ? effect.color : '#000';
+      ctx.fillRect(0, 0, w, h);
+    }
+    ctx.restore();
+  };
+
+  const tick = async () => {
+    if (busy || video.readyState < 2 || input.readyState !== 'live') return;
+    busy = true;
+    try {
+      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+      }
+      onSegmented = draw;
+      await segmenter.send({ image: video });
+    } catch (err) {
+      log.error('background segmentation failed', err);
+    } finally {
+      busy = false;
+    }
+  };
+
+  await setEffect(initialEffect);
+  await setInput(inputTrack);
+  const stopTicker = createTicker(tick, FPS);
+  const track = canvas.captureStream(FPS).getVideoTracks()[0];
+
+  const stop = () => {
+    stopTicker();
+    if (onSegmented === draw) onSegmented = null;
+    track.stop();
+    video.srcObject = null;
+  };
+
+  return { track, get inputTrack() { return input; }, setEffect, setInput, stop };
+};
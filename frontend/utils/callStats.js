@@ -0,0 +1,64 @@
+// utils/callStats.js
+// Turns connection samples (sampleNetworkStats in utils/qualityController) into what the call
+// UI shows: signal bars per tile, a per-peer summary for the stats panel, and a JSON dump.
+
+export const MAX_SIGNAL_BARS = 4;
+
+// thresholds where a bar is lost: loss fraction, jitter and RTT in seconds
+const LOSS_STEPS = [0.01, 0.03, 0.08, 0.15];
+const JITTER_STEPS = [0.02, 0.04, 0.08, 0.15];
+const RTT_STEPS = [0.15, 0.3, 0.5, 1];
+
+// 4 bars = good, 0 = barely working; the worst of loss, jitter and RTT decides
+export const signalLevel = ({ loss = 0, jitter = 0, rtt = 0 }) => {
+  const penalty = (value, steps) => steps.filter(step => value > step).length;
+  return MAX_SIGNAL_BARS - Math.max(penalty(loss, LOSS_STEPS), penalty(jitter, JITTER_STEPS), penalty(rtt || 0, RTT_STEPS));
+};
+
+// What we get from one peer and what we send. Mesh: the whole connection is theirs (trackIds
+// omitted). SFU: only the tracks of their stream; RTT, candidate pair and what we send are
+// shared by everyone on the one server connection.
+export const summarizePeerStats = (stats, trackIds) => {
+  const tracks = trackIds
+    ? trackIds.map(id => stats.inboundTracks[id]).filter(Boolean)
+    : Object.values(stats.inboundTracks);
+  const video = tracks.find(t => t.kind === 'video');
+  const audio = tracks.find(t => t.kind === 'audio');
+  const { outbound } = stats;
+  return {
+    loss: Math.max(0, ...tracks.map(t => t.loss)),
+    jitter: Math.max(0, ...tracks.map(t => t.jitter)),
+    rtt: stats.rtt,
+    bitrate: tracks.reduce((sum, t) => sum + t.bitrate, 0),
+    video: video ? { codec: video.codec, width: video.width, height: video.height, fps: video.fps } : null,
+    audioCodec: audio ? audio.codec : null,
+    candidatePair: stats.candidatePair,
+    sent: outbound.active
+      ? { bitrate: outbound.bitrate, loss: outbound.loss, codec: outbound.codec, width: outbound.width, height: outbound.height, fps: outbound.fps }
+      : null
+  };
+};
+
+// Everything for a bug report: the shown summaries plus each connection's raw getStats.
+// connections: { label: RTCPeerConnection }
+export const buildStatsDump = async ({ connections, summaries, meta }) => {
+  const raw = {};
+  await Promise.all(Object.entries(connections).map(async ([label, pc]) => {
+    try {
+      raw[label] = {
+        connectionState: pc.connectionState,
+        iceConnectionState: pc.iceConnectionState,
+        stats: Array.from((await pc.getStats()).values())
+      };
+    } catch (err) {
+      raw[label] = { error: err.message };
+    }
+  }));
+  return {
+    ...meta,
+    exportedAt: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    summaries,
+    connections: raw
+  };
+};
@@ -0,0 +1,119 @@
+// utils/e2ee.js
+// End-to-end encryption for mesh calls. Every frame we send is encrypted in a worker
+// (utils/e2eeWorker.js) before it is packetized, so anything relaying the media only sees
+// ciphertext. Each participant encrypts with a random key of their own; it reaches the
+// others over the peer data channel wrapped with a key derived from the room passphrase,
+// so neither the passphrase nor a usable key ever passes through the signaling server.
+
+const PBKDF2_ITERATIONS = 100_000;
+const KEY_BYTES = 16;
+const ROTATE_DELAY_MS = 1000; // time for a new key to reach everyone before we use it
+
+// RTCRtpScriptTransform (the standard) or Chrome's older createEncodedStreams
+const hasScriptTransform = () => typeof window.RTCRtpScriptTransform === 'function';
+const hasEncodedStreams = () => typeof RTCRtpSender !== 'undefined' && 'createEncodedStreams' in RTCRtpSender.prototype;
+
+export const isE2eeSupported = () => !!(window.crypto && window.crypto.subtle) && (hasScriptTransform() || hasEncodedStreams());
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+const encode = (text) => new TextEncoder().encode(text);
+
+// the passphrase alone is the secret; the room id only salts it
+const deriveRoomKey = async (passphrase, room) => {
+  const material = await crypto.subtle.importKey('raw', encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: encode(`veo-chat:${room}`), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Returns { peerConnectionConfig, attachSender, attachReceiver, keyMessages, handleKeyMessage,
+// rotate, removePeer, close }. getMyId() is our current client id (it changes if we rejoin
+// after a failed resume). onStatus(peerId, 'encrypted' | 'failed') reports whether
+// what a peer sends decrypts; a wrong passphrase or a peer without E2EE shows up as 'failed'.
+export const createE2ee = async ({ passphrase, room, getMyId, onStatus }) => {
+  const roomKey = await deriveRoomKey(passphrase, room);
+  const worker = new Worker(new URL('./e2eeWorker.js', import.meta.url), { type: 'module' });
+  const attached = new WeakSet();
+  let sendKey = null; // { raw, index }
+  let pendingKey = null; // announced by rotate(), in use after ROTATE_DELAY_MS
+  let rotateTimer = null;
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'status') onStatus(data.peerId, data.status);
+  };
+
+  const installSendKey = (key) => {
+    sendKey = key;
+    worker.postMessage({ type: 'set-send-key', key: key.raw, index: key.index });
+  };
+
+  const nextKey = () => ({
+    raw: crypto.getRandomValues(new Uint8Array(KEY_BYTES)),
+    index: sendKey ? (Math.max(sendKey.index, pendingKey ? pendingKey.index : 0) + 1) % 256 : 0
+  });
+
+  // the sender id and index are authenticated so a key can't be replayed as someone else's
+  const wrap = async ({ raw, index }) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: encode(`${getMyId()}:${index}`) }, roomKey, raw);
+    return { type: 'e2ee-key', index, iv: toBase64(iv), data: toBase64(data) };
+  };
+
+  const transform = (endpoint, options) => {
+    if (attached.has(endpoint)) return;
+    attached.add(endpoint);
+    if (hasScriptTransform()) {
+      endpoint.transform = new window.RTCRtpScriptTransform(worker, options);
+      return;
+    }
+    const { readable, writable } = endpoint.createEncodedStreams();
+    worker.postMessage({ type: 'transform', ...options, readable, writable }, [readable, writable]);
+  };
+
+  installSendKey(nextKey());
+
+  return {
+    // createEncodedStreams only works on connections created with this flag
+    peerConnectionConfig: hasScriptTransform() ? {} : { encodedInsertableStreams: true },
+    // safe to call again for the same sender (e.g. after replaceTrack)
+    attachSender: (sender) => transform(sender, { operation: 'encrypt' }),
+    attachReceiver: (receiver, peerId) => transform(receiver, { operation: 'decrypt', peerId }),
+    // what a newly opened data channel needs: our key, and the next one if a rotation is under way
+    keyMessages: () => Promise.all([sendKey, pendingKey].filter(Boolean).map(wrap)),
+    handleKeyMessage: async (peerId, msg) => {
+      try {
+        const key = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: fromBase64(msg.iv), additionalData: encode(`${peerId}:${msg.index}`) },
+          roomKey,
+          fromBase64(msg.data)
+        );
+        worker.postMessage({ type: 'set-receive-key', peerId, index: msg.index, key });
+      } catch {
+        // different passphrase: their media will not decrypt either
+        onStatus(peerId, 'failed');
+      }
+    },
+    // New key for everyone still here (someone left and must not be able to follow the call).
+    // Returns the message to send; we switch over once it has had time to arrive.
+    rotate: async () => {
+      const key = nextKey();
+      pendingKey = key;
+      clearTimeout(rotateTimer);
+      rotateTimer = setTimeout(() => {
+        if (pendingKey === key) pendingKey = null;
+        installSendKey(key);
+      }, ROTATE_DELAY_MS);
+      return wrap(key);
+    },
+    removePeer: (peerId) => worker.postMessage({ type: 'remove-peer', peerId }),
+    close: () => {
+      clearTimeout(rotateTimer);
+      worker.terminate();
+    }
+  };
+};
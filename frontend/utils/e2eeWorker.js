@@ -0,0 +1,121 @@
+// utils/e2eeWorker.js
+// Encrypts outgoing and decrypts incoming encoded frames (see utils/e2ee.js). Runs in a worker
+// so the crypto stays off the main thread.
+//
+// Frame layout: header | AES-GCM(ciphertext + tag) | iv (12 bytes) | key index (1 byte).
+// The header stays in the clear so packetizers and decoders still find frame boundaries and
+// keyframes; it is authenticated as additional data.
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEEP_KEYS = 16; // receive keys kept per peer, so frames in flight across a rotation decrypt
+const FAILURES_BEFORE_REPORT = 100; // about a second of media, so a key still on its way isn't flagged
+
+let sendKey = null; // { key, index }
+const receiveKeys = new Map(); // peerId -> Map<index, CryptoKey>
+const peerState = new Map(); // peerId -> { status, failures }
+
+const importKey = (raw) => crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+// clear bytes: VP8 keyframes need 10 (payload header + dimensions), delta frames 3; audio 1 (TOC)
+const headerLength = (frame) => {
+  if (frame.type === undefined) return 1;
+  return frame.type === 'key' ? 10 : 3;
+};
+
+const report = (peerId, status) => {
+  const state = peerState.get(peerId) || { status: null, failures: 0 };
+  if (status === 'failed') {
+    state.failures += 1;
+    if (state.failures < FAILURES_BEFORE_REPORT) { peerState.set(peerId, state); return; }
+  } else {
+    state.failures = 0;
+  }
+  if (state.status !== status) self.postMessage({ type: 'status', peerId, status });
+  state.status = status;
+  peerState.set(peerId, state);
+};
+
+const encrypt = async (frame, controller) => {
+  if (!sendKey) return; // no key yet: drop rather than leak clear media
+  const data = new Uint8Array(frame.data);
+  const header = data.subarray(0, Math.min(headerLength(frame), data.length));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    sendKey.key,
+    data.subarray(header.length)
+  ));
+  const out = new Uint8Array(header.length + ciphertext.length + IV_LENGTH + 1);
+  out.set(header, 0);
+  out.set(ciphertext, header.length);
+  out.set(iv, header.length + ciphertext.length);
+  out[out.length - 1] = sendKey.index;
+  frame.data = out.buffer;
+  controller.enqueue(frame);
+};
+
+const decrypt = async (frame, controller, peerId) => {
+  const data = new Uint8Array(frame.data);
+  const headerLen = headerLength(frame);
+  if (data.length < headerLen + TAG_LENGTH + IV_LENGTH + 1) { report(peerId, 'failed'); return; }
+  const keys = receiveKeys.get(peerId);
+  const key = keys && keys.get(data[data.length - 1]);
+  if (!key) { report(peerId, 'failed'); return; }
+
+  const header = data.subarray(0, headerLen);
+  const ivStart = data.length - 1 - IV_LENGTH;
+  try {
+    const plain = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.subarray(ivStart, data.length - 1), additionalData: header },
+      key,
+      data.subarray(headerLen, ivStart)
+    ));
+    const out = new Uint8Array(headerLen + plain.length);
+    out.set(header, 0);
+    out.set(plain, headerLen);
+    frame.data = out.buffer;
+    controller.enqueue(frame);
+    report(peerId, 'encrypted');
+  } catch {
+    // wrong key or not encrypted at all: drop it instead of feeding garbage to the decoder
+    report(peerId, 'failed');
+  }
+};
+
+const pipe = ({ readable, writable }, { operation, peerId }) => {
+  const transform = new TransformStream({
+    transform: (frame, controller) => (operation === 'encrypt' ? encrypt(frame, controller) : decrypt(frame, controller, peerId))
+  });
+  readable.pipeThrough(transform).pipeTo(writable).catch(() => { /* connection closed */ });
+};
+
+// RTCRtpScriptTransform
+self.onrtctransform = (event) => pipe(event.transformer, event.transformer.options);
+
+self.onmessage = async ({ data }) => {
+  switch (data.type) {
+    case 'set-send-key':
+      sendKey = { key: await importKey(data.key), index: data.index };
+      break;
+    case 'set-receive-key': {
+      const keys = receiveKeys.get(data.peerId) || new Map();
+      const key = await importKey(data.key);
+      keys.delete(data.index); // indexes wrap around: re-adding moves it to the newest end
+      keys.set(data.index, key);
+      while (keys.size > KEEP_KEYS) keys.delete(keys.keys().next().value);
+      receiveKeys.set(data.peerId, keys);
+      break;
+    }
+    case 'remove-peer':
+      receiveKeys.delete(data.peerId);
+      peerState.delete(data.peerId);
+      break;
+    case 'transform':
+      // createEncodedStreams fallback: the streams are transferred in
+      pipe(data, data);
+      break;
+    default:
+      break;
+  }
+};
@@ -0,0 +1,81 @@
+// utils/logger.js
+// Leveled logs for the browser. createLogger('signaling').info('joined', { room, trace }) prints to the
+// console at or above the current level; every entry, whatever the level, also goes into a ring buffer of the
+// last BUFFER_SIZE entries that uploadLogs() sends to the signaling server (POST /api/logs, see CLIENT_LOG_DIR
+// in the backend) when someone reports a failed call.
+// Level, first one set: localStorage 'veo-chat.logLevel', VITE_LOG_LEVEL, then debug in dev and warn in a build.
+// Levels: debug | info | warn | error | silent.
+
+import { getSignalingToken } from './auth';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LEVEL_KEY = 'veo-chat.logLevel';
+const BUFFER_SIZE = 1000;
+const CONSOLE_METHODS = { debug: 'debug', info: 'info', warn: 'warn', error: 'error' };
+
+const configuredLevel = () => {
+  let stored = null;
+  try { stored = localStorage.getItem(LEVEL_KEY); } catch { /* storage disabled */ }
+  const level = stored || import.meta.env.VITE_LOG_LEVEL || (import.meta.env.DEV ? 'debug' : 'warn');
+  return LEVELS[level] ? level : 'warn';
+};
+
+let threshold = LEVELS[configuredLevel()];
+const buffer = [];
+
+// errors don't survive JSON.stringify; everything else is kept as given
+const loggable = (value) => (value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value);
+
+const record = (level, scope, msg, fields) => {
+  const entry = { time: new Date().toISOString(), level, scope, msg };
+  if (fields instanceof Error) entry.err = loggable(fields);
+  else if (fields) Object.entries(fields).forEach(([key, value]) => { entry[key] = loggable(value); });
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  if (LEVELS[level] < threshold) return;
+  const args = [`[${scope}] ${msg}`];
+  if (fields) args.push(fields);
+  console[CONSOLE_METHODS[level]](...args);
+};
+
+// fields: an object of details (an Error among them is kept readable) or an Error on its own
+export const createLogger = (scope) => ({
+  debug: (msg, fields) => record('debug', scope, msg, fields),
+  info: (msg, fields) => record('info', scope, msg, fields),
+  warn: (msg, fields) => record('warn', scope, msg, fields),
+  error: (msg, fields) => record('error', scope, msg, fields)
+});
+
+// from the devtools console: localStorage['veo-chat.logLevel'] = 'debug' also survives a reload
+export const setLogLevel = (level) => {
+  if (!LEVELS[level]) throw new Error(`unknown log level ${level}`);
+  threshold = LEVELS[level];
+  try { localStorage.setItem(LEVEL_KEY, level); } catch { /* storage disabled: this page only */ }
+};
+
+// one id per join or offer/answer; the server echoes it and logs it, so both sides' lines can be matched
+export const createTraceId = () => {
+  const bytes = new Uint8Array(8);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Sends the buffered entries with the signaling token (a server with authentication on requires it);
+// resolves to the upload id to quote in a bug report
+export const uploadLogs = async ({ reason = null, context = null } = {}) => {
+  let token = null;
+  try { token = await getSignalingToken(); } catch { /* the server says whether it needed one */ }
+  const entries = buffer.map(entry => {
+    try { JSON.stringify(entry); return entry; } catch { return { time: entry.time, level: entry.level, scope: entry.scope, msg: entry.msg }; }
+  });
+  const res = await fetch('/api/logs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify({ reason, context: { page: window.location.pathname, ...context }, entries }),
+    cache: 'no-store'
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error((body && body.error) || `HTTP ${res.status}`);
+  return body.id;
+};
@@ -0,0 +1,109 @@
+// utils/mediaDevices.js
+// Device selection shared by useMedia and App: constraints for chosen devices and
+// hot-swapping a camera/microphone track on live connections.
+
+import { createLogger } from './logger';
+
+const log = createLogger('media');
+
+const VIDEO_QUALITY = { width: { ideal: 1280 }, height: { ideal: 720 } };
+const AUDIO_PROCESSING = { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+
+// '' (or missing) means the browser default; a chosen device is required exactly so
+// getUserMedia fails loudly instead of silently opening another camera
+export const videoConstraints = (deviceId) => (
+  deviceId ? { ...VIDEO_QUALITY, deviceId: { exact: deviceId } } : { ...VIDEO_QUALITY, facingMode: 'user' }
+);
+
+export const audioConstraints = (deviceId) => (
+  deviceId ? { ...AUDIO_PROCESSING, deviceId: { exact: deviceId } } : { ...AUDIO_PROCESSING }
+);
+
+// selected: { videoinput, audioinput } device ids
+export const buildMediaConstraints = (selected = {}) => ({
+  video: videoConstraints(selected.videoinput),
+  audio: audioConstraints(selected.audioinput)
+});
+
+// open a single new track for kind 'audio' | 'video'
+export const acquireDeviceTrack = async (kind, deviceId) => {
+  const stream = await navigator.mediaDevices.getUserMedia(
+    kind === 'video' ? { video: videoConstraints(deviceId) } : { audio: audioConstraints(deviceId) }
+  );
+  return stream.getTracks()[0];
+};
+
+// A new MediaStream object (not the same one mutated) so consumers that key on the stream,
+// like audio analysers and the recorder, pick up the new device. The old track is stopped.
+export const swapStreamTrack = (stream, track) => {
+  const kept = stream ? stream.getTracks().filter(t => t.kind !== track.kind) : [];
+  if (stream) stream.getTracks().filter(t => t.kind === track.kind).forEach(t => t.stop());
+  return new MediaStream([...kept, track]);
+};
+
+// replaceTrack on every connection's sender for kind; no renegotiation unless the
+// connection never had an m-line for it (then the track is added)
+export const replaceTrackOnPeers = async (peerConnections, kind, track, stream) => {
+  await Promise.all(Object.entries(peerConnections).map(async ([peerId, pc]) => {
+    const transceiver = pc.getTransceivers().find(t => !t.stopped && t.receiver.track && t.receiver.track.kind === kind);
+    if (!transceiver) {
+      if (track && stream) pc.addTrack(track, stream);
+      return;
+    }
+    try {
+      await transceiver.sender.replaceTrack(track);
+      // a receive-only line must be renegotiated before it can send
+      if (track && !transceiver.direction.startsWith('send')) transceiver.direction = 'sendrecv';
+    } catch (err) { log.error(`replaceTrack (${kind}) failed`, { peer: peerId, err }); }
+  }));
+};
+
+// getUserMedia with the chosen devices, falling back to the defaults when one has been
+// unplugged. deviceIds reports what was actually requested ('' = default).
+export const openUserMedia = async (selected = {}) => {
+  const deviceIds = { videoinput: selected.videoinput || '', audioinput: selected.audioinput || '' };
+  try {
+    return { stream: await navigator.mediaDevices.getUserMedia(buildMediaConstraints(deviceIds)), deviceIds };
+  } catch (err) {
+    const deviceMissing = err.name === 'OverconstrainedError' || err.name === 'NotFoundError';
+    if (!deviceMissing || (!deviceIds.videoinput && !deviceIds.audioinput)) throw err;
+    log.warn('chosen device unavailable, using defaults', err);
+    return { stream: await navigator.mediaDevices.getUserMedia(buildMediaConstraints()), deviceIds: { videoinput: '', audioinput: '' } };
+  }
+};
+
+// Short two-note chime on the chosen speaker ('' = default). Routed through an <audio>
+// element because only media elements can pick an output device.
+export const playTestSound = async (sinkId) => {
+  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  const destination = ctx.createMediaStreamDestination();
+  const gain = ctx.createGain();
+  gain.connect(destination);
+  [[660, 0], [880, 0.25]].forEach(([frequency, offset]) => {
+    const osc = ctx.createOscillator();
+    osc.frequency.value = frequency;
+    osc.connect(gain);
+    osc.start(ctx.currentTime + offset);
+    osc.stop(ctx.currentTime + offset + 0.2);
+  });
+  gain.gain.setValueAtTime(0.3, ctx.currentTime);
+  gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.5);
+
+  const audio = new Audio();
+  audio.srcObject = destination.stream;
+  try {
+    if (sinkId && audio.setSinkId) await audio.setSinkId(sinkId);
+    await audio.play();
+    await new Promise(resolve => setTimeout(resolve, 600));
+  } finally {
+    audio.srcObject = null;
+    ctx.close().catch(() => { /* already closed */ });
+  }
+};
+
+export const DEVICE_KINDS = ['videoinput', 'audioinput', 'audiooutput'];
+
+export const groupDevices = (devices) => Object.fromEntries(DEVICE_KINDS.map(kind => [
+  kind,
+  devices.filter(d => d.kind === kind && d.deviceId)
+]));
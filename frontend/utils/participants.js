@@ -0,0 +1,4 @@
+// utils/participants.js
+
+// Label for a participant: their display name, or the raw id when they didn't set one
+export const displayNameFor = (participant, userId) => (participant && participant.name) || `User ${userId}`;
@@ -0,0 +1,89 @@
+// utils/perfectNegotiation.js
+// "Perfect negotiation" (https://w3c.github.io/webrtc-pc/#perfect-negotiation-example):
+// either side may offer at any time (onnegotiationneeded), and glare is resolved by
+// giving each pair of peers one polite and one impolite side.
+
+import { createLogger, createTraceId } from './logger';
+
+const log = createLogger('negotiation');
+
+// Both peers compute the same answer from the two ids, so exactly one side is polite
+export const isPolitePeer = (myId, peerId) => String(myId) < String(peerId);
+
+// Wires pc.onnegotiationneeded and returns handlers for incoming descriptions/candidates.
+// sendDescription(description, trace) must deliver the offer/answer to the remote peer. Each offer gets a new
+// trace id and its answer reuses the one the offer came with, so one exchange shares an id in every log.
+export const createPerfectNegotiation = (pc, { polite, sendDescription, label = 'peer' }) => {
+  let makingOffer = false;
+  let ignoreOffer = false;
+  let isSettingRemoteAnswerPending = false;
+  // candidates that arrive before setRemoteDescription can't be added yet
+  let pendingCandidates = [];
+
+  const flushPendingCandidates = async () => {
+    const queued = pendingCandidates;
+    pendingCandidates = [];
+    for (const candidate of queued) {
+      try { await pc.addIceCandidate(candidate); }
+      catch (err) { log.warn('dropping queued ICE candidate', { peer: label, err }); }
+    }
+  };
+
+  pc.onnegotiationneeded = async () => {
+    try {
+      makingOffer = true;
+      await pc.setLocalDescription();
+      const trace = createTraceId();
+      sendDescription(pc.localDescription, trace);
+      log.info(`sent ${pc.localDescription.type}`, { peer: label, trace, reason: 'negotiationneeded' });
+    } catch (err) {
+      log.error('negotiation failed', { peer: label, err });
+    } finally {
+      makingOffer = false;
+    }
+  };
+
+  const handleDescription = async (description, trace) => {
+    const readyForOffer = !makingOffer && (pc.signalingState === 'stable' || isSettingRemoteAnswerPending);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+
+    ignoreOffer = !polite && offerCollision;
+    if (ignoreOffer) {
+      log.info('ignoring colliding offer (impolite)', { peer: label, trace });
+      return;
+    }
+
+    isSettingRemoteAnswerPending = description.type === 'answer';
+    if (offerCollision) {
+      // polite side abandons its own offer and takes the remote one
+      log.info('offer collision, rolling back local offer', { peer: label, trace });
+      await pc.setLocalDescription({ type: 'rollback' });
+    }
+    await pc.setRemoteDescription(description);
+    isSettingRemoteAnswerPending = false;
+    log.debug(`applied remote ${description.type}`, { peer: label, trace });
+    await flushPendingCandidates();
+
+    if (description.type === 'offer') {
+      await pc.setLocalDescription();
+      sendDescription(pc.localDescription, trace);
+      log.info('sent answer', { peer: label, trace });
+    }
+  };
+
+  const handleCandidate = async (candidate) => {
+    if (!candidate) return;
+    if (!pc.remoteDescription) {
+      pendingCandidates.push(candidate);
+      return;
+    }
+    try {
+      await pc.addIceCandidate(candidate);
+    } catch (err) {
+      // candidates for an offer we ignored are expected to fail
+      if (!ignoreOffer) throw err;
+    }
+  };
+
+  return { handleDescription, handleCandidate };
+};
@@ -0,0 +1,182 @@
+// utils/qualityController.js
+// Adapts video to the network. Every few seconds getStats gives the packet loss and round-trip
+// time of a connection; after a couple of bad samples the quality level steps down, and after
+// a sustained good stretch it steps back up.
+
+import { createLogger } from './logger';
+
+const log = createLogger('quality');
+
+// index 0 is the best; layers is how many simulcast layers stay on (SFU uplink)
+export const QUALITY_LEVELS = [
+  { name: 'high', maxBitrate: 1_500_000, scaleResolutionDownBy: 1, maxFramerate: 30, layers: 3 },
+  { name: 'medium', maxBitrate: 600_000, scaleResolutionDownBy: 2, maxFramerate: 24, layers: 2 },
+  { name: 'low', maxBitrate: 200_000, scaleResolutionDownBy: 4, maxFramerate: 15, layers: 1 }
+];
+
+// simulcast encodings the SFU asks for, lowest first (see backend/sfu.js)
+export const SIMULCAST_LAYERS = [
+  { rid: 'q', scaleResolutionDownBy: 4, maxBitrate: 150_000 },
+  { rid: 'h', scaleResolutionDownBy: 2, maxBitrate: 500_000 },
+  { rid: 'f', scaleResolutionDownBy: 1, maxBitrate: 1_500_000 }
+];
+
+const SAMPLE_MS = 2000;
+const BAD = { loss: 0.08, rtt: 0.4 }; // loss fraction, seconds
+const GOOD = { loss: 0.02, rtt: 0.25 };
+const DEGRADE_AFTER = 2; // bad samples in a row
+const RESTORE_AFTER = 5; // good samples in a row (~10s), so quality doesn't flap
+
+const emptyLink = () => ({ packets: 0, lost: 0, bytes: 0, loss: 0, bitrate: 0, jitter: 0 });
+
+// loss and bitrate between two cumulative readings
+const addRates = (link, before, seconds) => {
+  const sent = link.packets - before.packets;
+  const lost = link.lost - before.lost;
+  link.loss = sent + lost > 0 ? Math.max(0, lost) / (sent + lost) : 0;
+  link.bitrate = seconds > 0 ? Math.max(0, ((link.bytes - before.bytes) * 8) / seconds) : 0;
+  link.active = sent > 0;
+};
+
+// Loss/bitrate/jitter since the previous sample, both ways, plus the connection RTT and the
+// candidate pair in use. outbound/inbound are video only (simulcast layers summed) and also
+// carry codec, resolution and fps; inboundTracks has every received track by track id so SFU
+// streams can be told apart. Outbound loss comes from the remote's receiver reports.
+export const sampleNetworkStats = async (pc, previous) => {
+  const report = await pc.getStats();
+  const totals = { outbound: emptyLink(), inbound: emptyLink() };
+  const inboundTracks = {};
+  let rtt = null;
+  let pairRtt = null;
+  let candidatePair = null;
+
+  const codecOf = (stat) => {
+    const codec = stat.codecId && report.get(stat.codecId);
+    return codec ? codec.mimeType.split('/')[1] : null;
+  };
+  // the biggest simulcast layer (or the only stream) describes the picture
+  const takeVideoInfo = (link, stat) => {
+    if ((stat.frameWidth || 0) < (link.width || 0)) return;
+    Object.assign(link, { codec: codecOf(stat), width: stat.frameWidth || null, height: stat.frameHeight || null, fps: stat.framesPerSecond || null });
+  };
+
+  report.forEach(stat => {
+    if (stat.type === 'outbound-rtp' && stat.kind === 'video') {
+      totals.outbound.packets += stat.packetsSent || 0;
+      totals.outbound.bytes += stat.bytesSent || 0;
+      takeVideoInfo(totals.outbound, stat);
+    } else if (stat.type === 'remote-inbound-rtp' && stat.kind === 'video') {
+      totals.outbound.lost += Math.max(0, stat.packetsLost || 0);
+      totals.outbound.jitter = Math.max(totals.outbound.jitter, stat.jitter || 0);
+      if (typeof stat.roundTripTime === 'number') rtt = Math.max(rtt || 0, stat.roundTripTime);
+    } else if (stat.type === 'inbound-rtp') {
+      const track = {
+        kind: stat.kind, packets: stat.packetsReceived || 0, lost: Math.max(0, stat.packetsLost || 0),
+        bytes: stat.bytesReceived || 0, jitter: stat.jitter || 0, codec: codecOf(stat)
+      };
+      if (stat.kind === 'video') {
+        Object.assign(track, { width: stat.frameWidth || null, height: stat.frameHeight || null, fps: stat.framesPerSecond || null });
+        totals.inbound.packets += track.packets;
+        totals.inbound.lost += track.lost;
+        totals.inbound.bytes += track.bytes;
+        totals.inbound.jitter = Math.max(totals.inbound.jitter, track.jitter);
+        takeVideoInfo(totals.inbound, stat);
+      }
+      if (stat.trackIdentifier) inboundTracks[stat.trackIdentifier] = track;
+    }
+  });
+
+  // the pair media flows over: Chrome names it on the transport, Firefox flags it as selected
+  const stats = Array.from(report.values());
+  const transport = stats.find(stat => stat.type === 'transport' && stat.selectedCandidatePairId);
+  const pair = transport
+    ? report.get(transport.selectedCandidatePairId)
+    : stats.find(stat => stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded')));
+  if (pair) {
+    const local = report.get(pair.localCandidateId);
+    const remote = report.get(pair.remoteCandidateId);
+    if (typeof pair.currentRoundTripTime === 'number') pairRtt = pair.currentRoundTripTime;
+    candidatePair = {
+      local: local ? local.candidateType : null,
+      remote: remote ? remote.candidateType : null,
+      protocol: local ? local.protocol : null
+    };
+  }
+
+  const timestamp = performance.now();
+  const seconds = previous ? (timestamp - previous.timestamp) / 1000 : 0;
+  ['outbound', 'inbound'].forEach(direction => {
+    addRates(totals[direction], previous ? previous[direction] : emptyLink(), seconds);
+  });
+  Object.entries(inboundTracks).forEach(([id, track]) => {
+    addRates(track, (previous && previous.inboundTracks[id]) || emptyLink(), seconds);
+  });
+  return { ...totals, inboundTracks, rtt: rtt ?? pairRtt, candidatePair, timestamp };
+};
+
+// Samples pc while it is connected and calls onSample(level, stats) each time, where level is
+// the current QUALITY_LEVELS entry. direction: which side's loss drives it ('outbound' for
+// what we send, 'inbound' for what we receive). Stops by itself once pc is closed.
+export const createQualityController = ({ pc, direction = 'outbound', onSample }) => {
+  let levelIndex = 0;
+  let bad = 0;
+  let good = 0;
+  let previous = null;
+  let busy = false;
+
+  const timer = setInterval(async () => {
+    if (pc.signalingState === 'closed') { clearInterval(timer); return; }
+    if (busy || pc.connectionState !== 'connected') return;
+    busy = true;
+    try {
+      const stats = await sampleNetworkStats(pc, previous);
+      const first = !previous;
+      previous = stats;
+      const link = stats[direction];
+      if (first || !link.active) return;
+
+      const rtt = stats.rtt || 0;
+      if (link.loss > BAD.loss || rtt > BAD.rtt) { bad += 1; good = 0; }
+      else if (link.loss < GOOD.loss && rtt < GOOD.rtt) { good += 1; bad = 0; }
+      else { bad = 0; good = 0; }
+
+      if (bad >= DEGRADE_AFTER && levelIndex < QUALITY_LEVELS.length - 1) { levelIndex += 1; bad = 0; }
+      if (good >= RESTORE_AFTER && levelIndex > 0) { levelIndex -= 1; good = 0; }
+      onSample(QUALITY_LEVELS[levelIndex], stats);
+    } catch (err) {
+      log.warn('connection stats unavailable', err);
+    } finally {
+      busy = false;
+    }
+  }, SAMPLE_MS);
+
+  return { stop: () => clearInterval(timer) };
+};
+
+// Apply a level to a video sender. With simulcast the top layers are switched off; otherwise
+// the single encoding's bitrate, resolution and framerate are capped. No-op when unchanged.
+export const applySenderQuality = async (sender, level) => {
+  if (!sender || !sender.track) return;
+  const params = sender.getParameters();
+  const encodings = params.encodings || [];
+  if (!encodings.length) return; // not negotiated yet
+
+  let changed = false;
+  const set = (encoding, key, value) => {
+    if (encoding[key] !== value) { encoding[key] = value; changed = true; }
+  };
+  if (encodings.length > 1) {
+    encodings.forEach((encoding, i) => set(encoding, 'active', i < level.layers));
+  } else {
+    set(encodings[0], 'maxBitrate', level.maxBitrate);
+    set(encodings[0], 'maxFramerate', level.maxFramerate);
+    // screen shares keep their resolution (text must stay readable); only the rate drops
+    set(encodings[0], 'scaleResolutionDownBy', sender.track.contentHint === 'detail' ? 1 : level.scaleResolutionDownBy);
+  }
+  if (changed) {
+    try { await sender.setParameters(params); } catch (err) { log.warn('setParameters failed', err); }
+  }
+};
+
+// the connection's outgoing video sender, if any
+export const videoSenderOf = (pc) => pc.getSenders().find(s => s.track && s.track.kind === 'video');
@@ -0,0 +1,90 @@
+// utils/recordingCompositor.js
+// Draws call tiles onto a canvas for recording, mirroring the on-screen layout.
+// tile: { id, label, video: HTMLVideoElement|null, videoOff, contain, promoted }
+
+const GAP = 8;
+const BACKGROUND = '#111827';
+const TILE_BACKGROUND = '#1f2937';
+
+// grid: near-square rows/columns | speaker: promoted tile on top, the rest in a strip below
+export const layoutTiles = (tiles, width, height) => {
+  const promoted = tiles.find(t => t.promoted);
+  if (promoted && tiles.length > 1) {
+    const others = tiles.filter(t => t !== promoted);
+    const stripHeight = Math.round(height * 0.22);
+    const mainHeight = height - stripHeight - GAP;
+    const cellWidth = (width - GAP * (others.length - 1)) / others.length;
+    return [
+      { tile: promoted, x: 0, y: 0, w: width, h: mainHeight },
+      ...others.map((tile, i) => ({ tile, x: i * (cellWidth + GAP), y: mainHeight + GAP, w: cellWidth, h: stripHeight }))
+    ];
+  }
+
+  const cols = Math.ceil(Math.sqrt(tiles.length)) || 1;
+  const rows = Math.ceil(tiles.length / cols) || 1;
+  const cellWidth = (width - GAP * (cols - 1)) / cols;
+  const cellHeight = (height - GAP * (rows - 1)) / rows;
+  return tiles.map((tile, i) => ({
+    tile,
+    x: (i % cols) * (cellWidth + GAP),
+    y: Math.floor(i / cols) * (cellHeight + GAP),
+    w: cellWidth,
+    h: cellHeight
+  }));
+};
+
+const drawVideo = (ctx, { tile, x, y, w, h }) => {
+  const { video } = tile;
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  // cover crops to fill the tile, contain (screen shares) letterboxes
+  const scale = tile.contain ? Math.min(w / vw, h / vh) : Math.max(w / vw, h / vh);
+  const dw = vw * scale;
+  const dh = vh * scale;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, w, h);
+  ctx.clip();
+  ctx.drawImage(video, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+  ctx.restore();
+};
+
+const drawPlaceholder = (ctx, { tile, x, y, w, h }) => {
+  const radius = Math.min(w, h) * 0.15;
+  ctx.fillStyle = '#2563eb';
+  ctx.beginPath();
+  ctx.arc(x + w / 2, y + h / 2, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `600 ${Math.round(radius)}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText((tile.label.replace(/^User /, '')[0] || '?').toUpperCase(), x + w / 2, y + h / 2);
+};
+
+const drawLabel = (ctx, { tile, x, y, h }) => {
+  ctx.font = '16px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  const width = ctx.measureText(tile.label).width + 16;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.fillRect(x + 8, y + h - 36, width, 28);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(tile.label, x + 16, y + h - 22);
+};
+
+export const drawFrame = (ctx, tiles) => {
+  const { width, height } = ctx.canvas;
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, width, height);
+
+  layoutTiles(tiles, width, height).forEach(rect => {
+    const { tile, x, y, w, h } = rect;
+    ctx.fillStyle = TILE_BACKGROUND;
+    ctx.fillRect(x, y, w, h);
+    const hasFrame = tile.video && tile.video.videoWidth > 0 && !tile.videoOff;
+    if (hasFrame) drawVideo(ctx, rect); else drawPlaceholder(ctx, rect);
+    drawLabel(ctx, rect);
+  });
+};
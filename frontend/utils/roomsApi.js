@@ -0,0 +1,50 @@
+// utils/roomsApi.js
+// Rooms created ahead of time on the signaling server (/api/rooms) and their invite links.
+
+import { createLogger } from './logger';
+
+const log = createLogger('rooms');
+
+const INVITE_PATH = /^\/r\/([A-Za-z0-9_-]{1,32})\/?$/;
+// the server's default MAX_MESH_ROOM_SIZE / MAX_SFU_ROOM_SIZE, until it says otherwise
+const DEFAULT_LIMITS = { maxParticipants: { mesh: 8, sfu: 50 } };
+
+// '/r/ABC123' -> 'ABC123'; null for any other page
+export const roomIdFromInvitePath = (pathname) => {
+  const match = INVITE_PATH.exec(pathname || '');
+  return match ? match[1].toUpperCase() : null;
+};
+
+export const inviteUrlFor = (roomId) => `${window.location.origin}/r/${encodeURIComponent(roomId)}`;
+
+const request = async (path, options = {}) => {
+  const res = await fetch(path, { ...options, headers: { 'Content-Type': 'application/json', ...options.headers }, cache: 'no-store' });
+  const body = res.status === 204 ? null : await res.json().catch(() => null);
+  if (!res.ok) throw new Error((body && body.error) || `HTTP ${res.status}`);
+  return body;
+};
+
+// The stored room (name, schedule, settings) or null when the id was never scheduled
+export const fetchRoom = async (roomId) => {
+  try {
+    return (await request(`/api/rooms/${encodeURIComponent(roomId)}`)).room;
+  } catch (err) {
+    // ad-hoc rooms only exist while someone is in them
+    if (err.message !== 'room not found') log.warn('could not load room details', { room: roomId, err });
+    return null;
+  }
+};
+
+// fields: { name, scheduledFor?, durationMinutes?, password?, maxParticipants?, lobby?, mode? }.
+// Returns { room, manageToken }; the token is what edits or deletes the room later.
+export const createRoom = (fields) => request('/api/rooms', { method: 'POST', body: JSON.stringify(fields) });
+
+// What the server accepts for new rooms: { maxParticipants: { mesh, sfu } }, by room mode
+export const fetchRoomLimits = async () => {
+  try {
+    return { ...DEFAULT_LIMITS, ...(await request('/api/rooms')).limits };
+  } catch (err) {
+    log.warn('could not load room limits', err);
+    return DEFAULT_LIMITS;
+  }
+};
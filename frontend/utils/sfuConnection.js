@@ -0,0 +1,109 @@
+// utils/sfuConnection.js
+// Single connection to the server for rooms in SFU mode. The server makes every offer and
+// names the uplink mids our microphone and camera go on; everyone else's tracks arrive in
+// streams whose id is the publishing peer's id.
+//
+// Camera video goes up as simulcast when the browser supports it. Uplink loss switches off the
+// top layers; downlink loss asks the server for a lower layer of everyone else (sfu-layer).
+
+import { SIMULCAST_LAYERS, createQualityController, applySenderQuality } from './qualityController';
+import { createLogger } from './logger';
+
+const log = createLogger('sfu');
+
+// onStats(stats) gets every connection sample (sampleNetworkStats) for the call stats UI
+export const createSfuConnection = ({ configuration, getLocalTrack, sendMessage, onRemoteStream, onStats }) => {
+  const pc = new RTCPeerConnection(configuration);
+  const uplink = {}; // kind -> RTCRtpTransceiver
+  const pendingCandidates = [];
+  let simulcastConfigured = false;
+  let requestedLayer = SIMULCAST_LAYERS[SIMULCAST_LAYERS.length - 1].rid;
+  // offers and candidates are applied strictly in arrival order
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    queue = queue.then(task).catch(err => log.error('negotiation failed', err));
+    return queue;
+  };
+
+  pc.ontrack = (event) => {
+    const stream = event.streams[0];
+    if (stream) onRemoteStream(stream.id, stream);
+  };
+
+  pc.onicecandidate = (event) => {
+    if (event.candidate) sendMessage({ type: 'sfu-candidate', candidate: event.candidate });
+  };
+
+  pc.onconnectionstatechange = () => {
+    log.info('connection state', { state: pc.connectionState });
+  };
+
+  const attachUplink = async (mids = {}) => {
+    for (const transceiver of pc.getTransceivers()) {
+      const kind = Object.keys(mids).find(k => mids[k] === transceiver.mid);
+      if (!kind || uplink[kind]) continue;
+      uplink[kind] = transceiver;
+      transceiver.direction = 'sendonly';
+      const track = getLocalTrack(kind);
+      if (track) await transceiver.sender.replaceTrack(track);
+    }
+  };
+
+  // the encodings come from the server's rids; give each its resolution and bitrate
+  const configureSimulcast = async (sender) => {
+    const params = sender.getParameters();
+    if (!params.encodings || params.encodings.length < 2) return; // answered without simulcast
+    params.encodings.forEach(encoding => {
+      const layer = SIMULCAST_LAYERS.find(l => l.rid === encoding.rid);
+      if (layer) Object.assign(encoding, { scaleResolutionDownBy: layer.scaleResolutionDownBy, maxBitrate: layer.maxBitrate });
+    });
+    try { await sender.setParameters(params); } catch (err) { log.warn('simulcast setup failed', err); }
+  };
+
+  const handleOffer = (sdp, mids) => enqueue(async () => {
+    await pc.setRemoteDescription(sdp);
+    await attachUplink(mids);
+    await pc.setLocalDescription(await pc.createAnswer());
+    sendMessage({ type: 'sfu-answer', sdp: pc.localDescription });
+    if (uplink.video && !simulcastConfigured) {
+      simulcastConfigured = true;
+      await configureSimulcast(uplink.video.sender);
+    }
+    while (pendingCandidates.length) await pc.addIceCandidate(pendingCandidates.shift());
+  });
+
+  const handleCandidate = (candidate) => enqueue(async () => {
+    if (!pc.remoteDescription) { pendingCandidates.push(candidate); return; }
+    await pc.addIceCandidate(candidate);
+  });
+
+  // camera <-> screen share; the uplink m-line is already negotiated so no offer is needed
+  const replaceTrack = async (kind, track) => {
+    if (uplink[kind]) await uplink[kind].sender.replaceTrack(track);
+  };
+
+  const uplinkQuality = createQualityController({
+    pc,
+    direction: 'outbound',
+    onSample: (level) => { if (uplink.video) applySenderQuality(uplink.video.sender, level); }
+  });
+  const downlinkQuality = createQualityController({
+    pc,
+    direction: 'inbound',
+    onSample: (level, stats) => {
+      if (onStats) onStats(stats);
+      const { rid } = SIMULCAST_LAYERS[level.layers - 1];
+      if (rid === requestedLayer) return;
+      requestedLayer = rid;
+      sendMessage({ type: 'sfu-layer', layer: rid });
+    }
+  });
+
+  const close = () => {
+    uplinkQuality.stop();
+    downlinkQuality.stop();
+    try { pc.close(); } catch { /* already closed */ }
+  };
+
+  return { pc, handleOffer, handleCandidate, replaceTrack, close };
+};
@@ -0,0 +1,10 @@
+// utils/ticker.js
+
+// Calls onTick fps times a second from a worker's timer, which keeps ticking when the tab is
+// in the background, unlike rAF/setInterval. Returns a function that stops it.
+export const createTicker = (onTick, fps) => {
+  const url = URL.createObjectURL(new Blob([`setInterval(() => postMessage(0), ${Math.round(1000 / fps)});`], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  worker.onmessage = onTick;
+  return () => { worker.terminate(); URL.revokeObjectURL(url); };
+};
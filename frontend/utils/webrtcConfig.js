@@ -1,12 +1,49 @@
 // utils/webrtcConfig.js
 
+import { createLogger } from './logger';
+import { getSignalingToken } from './auth';
+
+const log = createLogger('ice');
+
+// Fallback when the signaling server's /ice-servers endpoint can't be reached
+export const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' }
+];
+
+// Last list fetched from the backend; TURN credentials in it are time-limited
+let iceServerCache = null; // { iceServers, expiresAt }
+
+// Fetches STUN/TURN servers (with short-lived TURN credentials) from the backend, with the signaling
+// token when there is one (a server with authentication on requires it and issues them to that user).
+// Reuses the cached list until a minute before its credentials expire.
+export const fetchIceServers = async () => {
+  if (iceServerCache && iceServerCache.expiresAt - 60_000 > Date.now()) return iceServerCache.iceServers;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+  try {
+    const token = await getSignalingToken();
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const res = await fetch('/ice-servers', { headers, signal: controller.signal, cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { iceServers, ttl } = await res.json();
+    if (!Array.isArray(iceServers)) throw new Error('Malformed ice-servers response');
+    iceServerCache = { iceServers, expiresAt: Date.now() + (ttl || 0) * 1000 };
+    log.info('loaded ICE servers', { urls: iceServers.map(s => s.urls), ttl });
+    return iceServers;
+  } catch (err) {
+    log.warn('could not load ICE servers, using defaults', err);
+    return iceServerCache ? iceServerCache.iceServers : DEFAULT_ICE_SERVERS;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
 // Creates a new WebRTC peer connection with ICE servers
-export const createRTCConfiguration = () => ({
-  iceServers: [
-    { urls: 'stun:stun.l.google.com:19302' },
-    { urls: 'stun:stun1.l.google.com:19302' },
-    { urls: 'stun:stun2.l.google.com:19302' }
-  ]
+export const createRTCConfiguration = (iceServers = iceServerCache ? iceServerCache.iceServers : DEFAULT_ICE_SERVERS) => ({
+  iceServers
 });
 
 // Default media constraints
@@ -33,7 +70,7 @@ export const copyToClipboard = async (text) => {
     await navigator.clipboard.writeText(text);
     return true;
   } catch (err) {
-    console.error('Failed to copy to clipboard:', err);
+    log.error('could not copy to clipboard', err);
     return false;
   }
 };
\ No newline at end of file
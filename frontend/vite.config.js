@@ -29,6 +29,14 @@ export default defineConfig({
         target: 'ws://localhost:8888',
         ws: true,
         changeOrigin: true
+      },
+      '/ice-servers': {
+        target: 'http://localhost:8888',
+        changeOrigin: true
+      },
+      '/api': {
+        target: 'http://localhost:8888',
+        changeOrigin: true
       }
     }
   }